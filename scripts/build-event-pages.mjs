@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Static, shareable event pages for the Bordeaux agenda (met_agenda dataset).
+ *
+ * Social crawlers (Bluesky, Mastodon, Facebook…) ignore the "#uid=…" hash of
+ * index_enriched.html, so every shared link used to preview as the homepage.
+ * This script writes one small HTML page per upcoming event with OpenGraph /
+ * Twitter card tags and JSON-LD Event markup; browsers are then sent on to
+ * the interactive page.
+ *
+ * What it does:
+ *  - Fetch upcoming cultural events (same query as the front end)
+ *  - Resolve images like the front end: upstream image, then assets/event-images.json,
+ *    then assets/manual-images.json, then assets/venues.json
+ *  - Write events/<uid>.html and events/index.json (uid -> dates, used for pruning)
+ *  - Delete pages of events that ended more than KEEP_DAYS ago
+ *
+ * Usage (local):
+ *   node scripts/build-event-pages.mjs
+ *
+ * Env vars (optional):
+ *   WINDOW_DAYS=30            # how far ahead to look
+ *   MAX_EVENTS=2000           # hard cap on pages written per run
+ *   KEEP_DAYS=30              # keep pages of past events this long (old posts keep working)
+ *   SITE_URL=https://example.org/index_enriched.html   # needed for og:url / canonical
+ *   OUT_DIR=events
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  escapeHtml, fetchUpcomingRows, imageAttribution, imageAttributionHtml, loadImageMaps, normalize, plainText,
+  resolveImages,
+} from "./lib/agenda.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Config ---
+const OUT_DIR = path.resolve(__dirname, "..", process.env.OUT_DIR || "events");
+const MANIFEST_PATH = path.join(OUT_DIR, "index.json");
+
+const WINDOW_DAYS = parseInt(process.env.WINDOW_DAYS || "30", 10);
+const MAX_EVENTS = parseInt(process.env.MAX_EVENTS || "2000", 10);
+const KEEP_DAYS = parseInt(process.env.KEEP_DAYS || "30", 10);
+const SITE_URL = (process.env.SITE_URL || "").trim();
+
+const SITE_NAME = "Agenda Alternatif de la Metropole de Bordeaux";
+const INTERACTIVE_PAGE = "index_enriched.html";
+const DESCRIPTION_MAX = 200;
+
+// --- Small helpers ---
+// JSON inside <script> must not be able to close the tag
+function jsonForScript(value) {
+  return JSON.stringify(value, null, 2).replace(/</g, "\\u003c");
+}
+
+function truncate(s, max) {
+  if (s.length <= max) return s;
+  return s.slice(0, max - 1).replace(/\s+\S*$/, "") + "…";
+}
+
+function pageFileName(uid) {
+  return `${encodeURIComponent(uid)}.html`;
+}
+
+// Public URL of a file next to index_enriched.html, or "" when SITE_URL is not set
+function siteUrlFor(relPath) {
+  if (!SITE_URL) return "";
+  return new URL(relPath, SITE_URL).toString();
+}
+
+function interactiveHash(ev) {
+  return `uid=${encodeURIComponent(ev.uid)}&slug=${encodeURIComponent(ev.slug)}`;
+}
+
+function formatDateFr(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString("fr-FR", {
+    timeZone: "Europe/Paris",
+    weekday: "long", day: "2-digit", month: "long", hour: "2-digit", minute: "2-digit"
+  });
+}
+
+function readManifest() {
+  try {
+    const data = JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf-8"));
+    return data && typeof data === "object" ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+// --- Page ---
+function eventJsonLd(ev, pageUrl) {
+  const data = {
+    "@context": "https://schema.org",
+    "@type": "Event",
+    name: ev.title,
+    startDate: ev.start,
+    eventStatus: "https://schema.org/EventScheduled",
+    eventAttendanceMode: "https://schema.org/OfflineEventAttendanceMode",
+  };
+  const endDate = ev.lastEnd || ev.firstEnd;
+  if (endDate) data.endDate = endDate;
+  if (ev.desc) data.description = plainText(ev.desc);
+  if (ev.image) data.image = [ev.image];
+  if (pageUrl) data.url = pageUrl;
+
+  if (ev.venue || ev.address) {
+    data.location = {
+      "@type": "Place",
+      name: ev.venue || ev.address,
+      address: {
+        "@type": "PostalAddress",
+        streetAddress: ev.street || undefined,
+        postalCode: ev.postalCode || undefined,
+        addressLocality: ev.city || undefined,
+        addressCountry: "FR",
+      },
+    };
+    if (ev.coords) {
+      data.location.geo = { "@type": "GeoCoordinates", latitude: ev.coords.lat, longitude: ev.coords.lon };
+    }
+  }
+  if (ev.agenda) data.organizer = { "@type": "Organization", name: ev.agenda };
+  if (ev.isFree) data.isAccessibleForFree = true;
+  if (ev.price?.min != null) {
+    data.offers = {
+      "@type": "AggregateOffer",
+      priceCurrency: "EUR",
+      lowPrice: ev.price.min,
+      highPrice: ev.price.max,
+      ...(ev.externalUrl ? { url: ev.externalUrl } : {}),
+    };
+  }
+  return data;
+}
+
+function renderEventPage(ev) {
+  const file = pageFileName(ev.uid);
+  const pageUrl = siteUrlFor(`${path.basename(OUT_DIR)}/${file}`);
+  const targetUrl = `../${INTERACTIVE_PAGE}#${interactiveHash(ev)}`;
+
+  const where = [ev.venue, ev.district || ev.city].filter(Boolean).join(" · ");
+  const when = ev.dateLabel || formatDateFr(ev.start);
+  const summary = truncate(plainText(ev.desc) || [when, where].filter(Boolean).join(" — "), DESCRIPTION_MAX);
+  const title = `${ev.title} — ${SITE_NAME}`;
+  // Author, license and image page for enrichment map images, else location_imagecredits
+  const attribution = imageAttribution(ev);
+  const credit = attribution
+    ? imageAttributionHtml(attribution)
+    : (ev.imageCredits ? `Crédits : ${escapeHtml(ev.imageCredits)}` : "");
+
+  const meta = [
+    `<meta name="description" content="${escapeHtml(summary)}" />`,
+    `<meta property="og:type" content="website" />`,
+    `<meta property="og:locale" content="fr_FR" />`,
+    `<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}" />`,
+    `<meta property="og:title" content="${escapeHtml(ev.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(summary)}" />`,
+  ];
+  if (pageUrl) {
+    meta.push(`<meta property="og:url" content="${escapeHtml(pageUrl)}" />`);
+    meta.push(`<link rel="canonical" href="${escapeHtml(pageUrl)}" />`);
+  }
+  if (ev.image) {
+    meta.push(`<meta property="og:image" content="${escapeHtml(ev.image)}" />`);
+    meta.push(`<meta property="og:image:alt" content="${escapeHtml(ev.title)}" />`);
+    meta.push(`<meta name="twitter:card" content="summary_large_image" />`);
+  } else {
+    meta.push(`<meta name="twitter:card" content="summary" />`);
+  }
+
+  // No <meta http-equiv="refresh">: some crawlers follow it and would read the
+  // homepage tags again. Only browsers (which run JS) are forwarded.
+  return `<!doctype html>
+<html lang="fr">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  ${meta.join("\n  ")}
+  <script type="application/ld+json">
+${jsonForScript(eventJsonLd(ev, pageUrl))}
+  </script>
+  <script>location.replace(${JSON.stringify(targetUrl)});</script>
+  <style>
+    body { margin: 0; font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, "Noto Sans"; color: #111; }
+    .wrap { max-width: 720px; margin: 0 auto; padding: 20px; }
+    img { max-width: 100%; border-radius: 14px; }
+    .muted { color: #555; }
+  </style>
+</head>
+<body>
+  <main class="wrap">
+    <h1>${escapeHtml(ev.title)}</h1>
+    ${when ? `<p class="muted">${escapeHtml(when)}</p>` : ""}
+    ${where ? `<p class="muted">${escapeHtml(where)}</p>` : ""}
+    ${ev.image ? `<img src="${escapeHtml(ev.image)}" alt="${escapeHtml(ev.title)}" />` : ""}
+    ${ev.image && credit ? `<p class="muted"><small>${credit}</small></p>` : ""}
+    ${ev.desc ? `<p>${escapeHtml(plainText(ev.desc))}</p>` : ""}
+    <p><a href="${escapeHtml(targetUrl)}">Voir l'événement sur l'agenda</a></p>
+  </main>
+</body>
+</html>
+`;
+}
+
+async function main() {
+  console.log(`[pages] Fetching events for the next ${WINDOW_DAYS} days…`);
+  const rows = await fetchUpcomingRows({
+    windowDays: WINDOW_DAYS,
+    maxEvents: MAX_EVENTS,
+    userAgent: "agenda-bdx-pages/1.0 (GitHub Actions)",
+  });
+  console.log(`[pages] Found ${rows.length} events`);
+
+  const maps = loadImageMaps();
+  const manifest = readManifest();
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  let written = 0;
+  let withImage = 0;
+  for (const row of rows) {
+    const ev = resolveImages(normalize(row), maps);
+    if (!ev.uid || !ev.start) continue;
+    if (ev.image) withImage++;
+
+    fs.writeFileSync(path.join(OUT_DIR, pageFileName(ev.uid)), renderEventPage(ev), "utf-8");
+    written++;
+    manifest[ev.uid] = { slug: ev.slug, start: ev.start, end: ev.lastEnd || ev.firstEnd || ev.start };
+  }
+  console.log(`[pages] Wrote ${written} pages (${withImage} with an image)`);
+
+  // Prune pages of events that are long over
+  const cutoff = Date.now() - KEEP_DAYS * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+  for (const [uid, entry] of Object.entries(manifest)) {
+    const end = Date.parse(entry?.end || "");
+    if (Number.isFinite(end) && end >= cutoff) continue;
+    fs.rmSync(path.join(OUT_DIR, pageFileName(uid)), { force: true });
+    delete manifest[uid];
+    pruned++;
+  }
+  if (pruned) console.log(`[pages] Removed ${pruned} expired pages`);
+
+  const sorted = Object.fromEntries(Object.keys(manifest).sort().map((k) => [k, manifest[k]]));
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(sorted, null, 2) + "\n", "utf-8");
+  console.log(`[pages] Wrote ${MANIFEST_PATH}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
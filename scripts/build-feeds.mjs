@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/**
+ * Syndication feeds for the Bordeaux agenda (met_agenda dataset), for partner sites.
+ *
+ * What it does:
+ *  - Fetch upcoming cultural events (same query and window as index_enriched.html)
+ *  - Normalize them and resolve images like the front end (enrichment map, manual map, venue registry),
+ *    with the author, license and image page of enrichment map images (attribution terms)
+ *  - Write feed.xml (Atom) and feed.json (JSON Feed 1.1) with every event; items link to our
+ *    events/<uid>.html page, or index_enriched.html#uid=… for events without one (the organiser's
+ *    site is only the JSON Feed external_url)
+ *  - Write feeds/<category>.xml and feeds/<category>.json for each category chip
+ *    (concert, expo, theatre, festival, cinema), using the same CATEGORY_RULES
+ *
+ * Usage (local):
+ *   node scripts/build-feeds.mjs
+ *
+ * Env vars:
+ *   SITE_URL=https://example.org/index_enriched.html   # required: items link back to our event pages
+ *   WINDOW_DAYS=15            # how far ahead to look (same window as index_enriched.html)
+ *   MAX_EVENTS=2000           # hard cap on items per feed
+ *   OUT_DIR=.                 # feed.xml / feed.json go here, per-category feeds in OUT_DIR/feeds
+ *   EVENT_PAGES_DIR=events    # output of build-event-pages.mjs (its index.json lists the pages)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  CATEGORY_LABELS, escapeHtml, eventCategories, fetchUpcomingRows, imageAttribution, imageAttributionHtml,
+  loadImageMaps, normalize, plainText, resolveImages,
+} from "./lib/agenda.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Config ---
+const OUT_DIR = path.resolve(__dirname, "..", process.env.OUT_DIR || ".");
+const EVENT_PAGES_MANIFEST = path.resolve(__dirname, "..", process.env.EVENT_PAGES_DIR || "events", "index.json");
+
+const WINDOW_DAYS = parseInt(process.env.WINDOW_DAYS || "15", 10);
+const MAX_EVENTS = parseInt(process.env.MAX_EVENTS || "2000", 10);
+const SITE_URL = (process.env.SITE_URL || "").trim();
+
+const FEED_TITLE = "Agenda Alternatif de la Metropole de Bordeaux";
+const FEED_DESCRIPTION = "Concerts, expos, théâtre et plus — agrégé depuis l'open data de Bordeaux Métropole.";
+
+// --- Small helpers ---
+// XML 1.0 forbids most control characters, even escaped
+function xmlEscape(s) {
+  return escapeHtml(String(s ?? "").replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ""));
+}
+
+function isoDate(value) {
+  const d = new Date(value || "");
+  return Number.isNaN(d.getTime()) ? "" : d.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+// Absolute URL of a file next to index_enriched.html
+function siteUrlFor(relPath) {
+  return new URL(relPath, SITE_URL).toString();
+}
+
+// uids with a page from build-event-pages.mjs (events/index.json), {} before its first run
+function loadEventPages() {
+  try {
+    const data = JSON.parse(fs.readFileSync(EVENT_PAGES_MANIFEST, "utf-8"));
+    return data && typeof data === "object" ? data : {};
+  } catch {
+    return {};
+  }
+}
+let eventPages = {};
+
+// Static page from build-event-pages.mjs (link previews), else the event on index_enriched.html;
+// the organiser's page is only ever external_url
+function eventLink(ev) {
+  if (Object.hasOwn(eventPages, ev.uid)) return siteUrlFor(`events/${encodeURIComponent(ev.uid)}.html`);
+  return `${SITE_URL}#uid=${encodeURIComponent(ev.uid)}&slug=${encodeURIComponent(ev.slug || "")}`;
+}
+
+// "Photo : Jean Dupont, CC BY-SA 4.0 (Openverse)" for enrichment map images, else location_imagecredits
+function imageCredit(ev) {
+  return imageAttribution(ev)?.text || ev.imageCredits || "";
+}
+
+function imageCreditHtml(ev) {
+  const attribution = imageAttribution(ev);
+  if (attribution) return imageAttributionHtml(attribution);
+  return ev.imageCredits ? `Crédits : ${escapeHtml(ev.imageCredits)}` : "";
+}
+
+function eventSummary(ev) {
+  return [
+    ev.dateLabel,
+    [ev.venue, ev.district || ev.city].filter(Boolean).join(" · "),
+    plainText(ev.desc)
+  ].filter(Boolean).join(" — ");
+}
+
+function eventContentHtml(ev) {
+  const link = eventLink(ev);
+  const credit = ev.image ? imageCreditHtml(ev) : "";
+  return [
+    ev.image ? `<p><img src="${escapeHtml(ev.image)}" alt="${escapeHtml(ev.title)}" /></p>` : "",
+    credit ? `<p><small>${credit}</small></p>` : "",
+    ev.dateLabel ? `<p><strong>${escapeHtml(ev.dateLabel)}</strong></p>` : "",
+    (ev.venue || ev.address) ? `<p>${escapeHtml([ev.venue, ev.address].filter(Boolean).join(" — "))}</p>` : "",
+    ev.conditions ? `<p>Tarif : ${escapeHtml(ev.conditions)}</p>` : "",
+    ev.desc ? `<p>${escapeHtml(plainText(ev.desc))}</p>` : "",
+    `<p><a href="${escapeHtml(link)}">Voir l'événement</a></p>`
+  ].filter(Boolean).join("\n");
+}
+
+// Feeds only change when an event does, so "updated" follows the data, not the clock
+// (an empty category feed stays byte-identical too).
+function feedUpdated(events) {
+  const dates = events.map((ev) => isoDate(ev.updatedAt || ev.start)).filter(Boolean).sort();
+  return dates.at(-1) || isoDate(0);
+}
+
+// --- Atom (RFC 4287) ---
+function atomEntry(ev) {
+  const lines = [
+    "  <entry>",
+    `    <id>urn:agenda-bdx:event:${xmlEscape(ev.uid)}</id>`,
+    `    <title>${xmlEscape(ev.title)}</title>`,
+    `    <updated>${isoDate(ev.updatedAt || ev.start)}</updated>`,
+    `    <link rel="alternate" type="text/html" href="${xmlEscape(eventLink(ev))}" />`
+  ];
+  if (ev.image) lines.push(`    <link rel="enclosure" href="${xmlEscape(ev.image)}" />`);
+  for (const key of eventCategories(ev)) {
+    lines.push(`    <category term="${key}" label="${xmlEscape(CATEGORY_LABELS[key])}" />`);
+  }
+  lines.push(`    <summary type="text">${xmlEscape(eventSummary(ev))}</summary>`);
+  lines.push(`    <content type="html">${xmlEscape(eventContentHtml(ev))}</content>`);
+  lines.push("  </entry>");
+  return lines.join("\n");
+}
+
+function buildAtom(events, { title, file, id }) {
+  const selfUrl = siteUrlFor(file);
+  const homeUrl = siteUrlFor("index_enriched.html");
+  return [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="fr">`,
+    `  <id>${xmlEscape(id)}</id>`,
+    `  <title>${xmlEscape(title)}</title>`,
+    `  <subtitle>${xmlEscape(FEED_DESCRIPTION)}</subtitle>`,
+    `  <updated>${feedUpdated(events)}</updated>`,
+    `  <author><name>${xmlEscape(FEED_TITLE)}</name></author>`,
+    `  <link rel="self" type="application/atom+xml" href="${xmlEscape(selfUrl)}" />`,
+    `  <link rel="alternate" type="text/html" href="${xmlEscape(homeUrl)}" />`,
+    ...events.map(atomEntry),
+    `</feed>`
+  ].filter(Boolean).join("\n") + "\n";
+}
+
+// --- JSON Feed 1.1 (https://jsonfeed.org/version/1.1) ---
+function jsonFeedItem(ev) {
+  const link = eventLink(ev);
+  return {
+    id: ev.uid,
+    url: link,
+    external_url: ev.externalUrl || undefined,
+    title: ev.title,
+    content_html: eventContentHtml(ev),
+    summary: eventSummary(ev),
+    image: ev.image || undefined,
+    date_modified: isoDate(ev.updatedAt) || undefined,
+    tags: eventCategories(ev).map((k) => CATEGORY_LABELS[k]),
+    // Extension keys must start with an underscore
+    _agenda_bdx: {
+      start: ev.start,
+      end: ev.lastEnd || ev.firstEnd || undefined,
+      date_label: ev.dateLabel || undefined,
+      venue: ev.venue || undefined,
+      address: ev.address || undefined,
+      city: ev.city || undefined,
+      conditions: ev.conditions || undefined,
+      image_credit: (ev.image && imageCredit(ev)) || undefined,
+      image_license_url: imageAttribution(ev)?.licenseUrl || undefined,
+      image_page_url: imageAttribution(ev)?.sourceUrl || undefined,
+    },
+  };
+}
+
+function buildJsonFeed(events, { title, file }) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title,
+    home_page_url: siteUrlFor("index_enriched.html"),
+    feed_url: siteUrlFor(file),
+    description: FEED_DESCRIPTION,
+    language: "fr",
+    items: events.map(jsonFeedItem),
+  };
+  return JSON.stringify(feed, null, 2) + "\n";
+}
+
+function writeFeeds(events, { title, base, id }) {
+  for (const [ext, build] of [["xml", buildAtom], ["json", buildJsonFeed]]) {
+    const file = `${base}.${ext}`;
+    const outPath = path.join(OUT_DIR, file);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, build(events, { title, file, id }), "utf-8");
+  }
+  console.log(`[feeds] ${base}.{xml,json}: ${events.length} items`);
+}
+
+async function main() {
+  if (!SITE_URL) throw new Error("Missing SITE_URL: feed items link back to our event pages");
+  eventPages = loadEventPages();
+
+  console.log(`[feeds] Fetching events for the next ${WINDOW_DAYS} days…`);
+  const rows = await fetchUpcomingRows({
+    windowDays: WINDOW_DAYS,
+    maxEvents: MAX_EVENTS,
+    userAgent: "agenda-bdx-feeds/1.0 (GitHub Actions)",
+  });
+  console.log(`[feeds] Found ${rows.length} events`);
+
+  const maps = loadImageMaps();
+  const events = rows
+    .map((row) => resolveImages(normalize(row), maps))
+    .filter((ev) => ev.uid && ev.start);
+
+  writeFeeds(events, { title: FEED_TITLE, base: "feed", id: "urn:agenda-bdx:feed" });
+
+  for (const [key, label] of Object.entries(CATEGORY_LABELS)) {
+    const subset = events.filter((ev) => eventCategories(ev).includes(key));
+    writeFeeds(subset, {
+      title: `${FEED_TITLE} — ${label}`,
+      base: `feeds/${key}`,
+      id: `urn:agenda-bdx:feed:${key}`,
+    });
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
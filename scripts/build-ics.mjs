@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Subscribable iCalendar feed for the Bordeaux agenda (met_agenda dataset).
+ *
+ * What it does:
+ *  - Fetch upcoming cultural events from Bordeaux Metropole OpenData (Opendatasoft API v2.1)
+ *    using the same query as the front end (CULTURE_Q + events on during the date window,
+ *    multi-day ones that started earlier included)
+ *  - Write one VEVENT per event into agenda.ics (repo root, served next to index_enriched.html)
+ *
+ * Usage (local):
+ *   node scripts/build-ics.mjs
+ *
+ * Env vars (optional):
+ *   WINDOW_DAYS=15            # how far ahead to look (same window as index_enriched.html)
+ *   MAX_EVENTS=2000           # hard cap on VEVENTs written
+ *   SITE_URL=https://example.org/index_enriched.html   # adds a link back to the event page
+ *   OUT_PATH=agenda.ics
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { fetchUpcomingRows, normalize } from "./lib/agenda.mjs";
+import { buildIcsCalendar } from "./lib/ics.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Config ---
+const OUT_PATH = path.resolve(__dirname, "..", process.env.OUT_PATH || "agenda.ics");
+
+const WINDOW_DAYS = parseInt(process.env.WINDOW_DAYS || "15", 10);
+const MAX_EVENTS = parseInt(process.env.MAX_EVENTS || "2000", 10);
+const SITE_URL = (process.env.SITE_URL || "").trim();
+
+// Link back to the event on the agenda, in the description and as URL
+function eventUrl(ev) {
+  return SITE_URL
+    ? `${SITE_URL}#uid=${encodeURIComponent(ev.uid.trim())}&slug=${encodeURIComponent(ev.slug)}`
+    : "";
+}
+
+function buildCalendar(events) {
+  return buildIcsCalendar(events, {
+    eventUrl,
+    headers: [
+      "X-WR-CALNAME:Agenda Alternatif — Bordeaux Métropole",
+      "X-WR-TIMEZONE:Europe/Paris",
+      // Hints for calendar apps that poll subscribed feeds
+      "REFRESH-INTERVAL;VALUE=DURATION:PT12H",
+      "X-PUBLISHED-TTL:PT12H",
+    ],
+  });
+}
+
+async function main() {
+  console.log(`[ics] Fetching events for the next ${WINDOW_DAYS} days…`);
+  const rows = await fetchUpcomingRows({
+    windowDays: WINDOW_DAYS,
+    maxEvents: MAX_EVENTS,
+    userAgent: "agenda-bdx-ics/1.0 (GitHub Actions)",
+  });
+  console.log(`[ics] Found ${rows.length} events`);
+
+  fs.mkdirSync(path.dirname(OUT_PATH), { recursive: true });
+  fs.writeFileSync(OUT_PATH, buildCalendar(rows.map(normalize)), "utf-8");
+  console.log(`[ics] Wrote ${OUT_PATH}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
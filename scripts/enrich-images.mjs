@@ -4,9 +4,21 @@
  *
  * What it does:
  *  - Fetch events from Bordeaux Metropole OpenData (Opendatasoft API v2.1)
+ *    updated since the last run (cursor on `updatedat`, kept in assets/enrich-state.json)
  *  - Keep only events with no upstream image (location_image empty/null)
- *  - Search a suitable openly-licensed image (Openverse only)
- *  - Write/merge assets/event-images.json keyed by uid (and optionally slug)
+ *  - Drop map entries of events that got an upstream image in the meantime
+ *  - Retry the uids re-queued by validate-images.mjs (dead or undersized image)
+ *  - Ask each image provider in turn (scripts/providers/: upstream, OpenAgenda, bordeaux.fr
+ *    libraries, Openverse, Wikimedia Commons); venue-based answers are cached per run
+ *  - Skip the venue-only providers for venues of assets/venues.json that have an image
+ *    (the front end falls back to that image anyway)
+ *  - Write/merge assets/event-images.json keyed by uid (slug listed in "aliases")
+ *  - Print the venues of events left without an image that have no registry entry, most frequent first
+ *
+ * Pruning mode (PRUNE=1, no enrichment):
+ *  - Drop entries of events that ended more than PRUNE_AFTER_DAYS ago or no longer exist upstream
+ *  - Collapse the uid + slug duplicates into one record keyed by uid, with the slug in "aliases"
+ *  - Print a summary of what was removed
  *
  * Usage (local):
  *   node scripts/enrich-images.mjs
@@ -16,525 +28,136 @@
  *   CONCURRENCY=3             # parallel searches
  *   MIN_WIDTH=600            # skip tiny images
  *   ALLOWED_LICENSES=cc0,pdm,by,by-sa   # Openverse license codes (comma-separated)
+ *   IMAGE_PROVIDERS=upstream,openagenda,bibliotheque,openverse,wikimedia   # order / enabled providers
  *   OPENVERSE_PAGE_SIZE=20
+ *   WIKIMEDIA_PAGE_SIZE=10
+ *   FULL_RESYNC=1             # ignore the cursor and re-scan the dataset (oldest update first)
+ *   PRUNE=1                   # garbage-collect assets/event-images.json instead of enriching
+ *   PRUNE_AFTER_DAYS=30       # keep entries of past events this long
+ *   VENUE_REPORT_TOP=15       # how many unregistered venues to list at the end (0 = none)
+ *   AGENDA_API_BASE, HTTP_RETRIES, HTTP_TIMEOUT, HTTP_CACHE_DIR, HTTP_CACHE_TTL   # see scripts/lib/agenda.mjs
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 
+import {
+  API_BASE, createLimiter, createScriptHttpClient, findVenue, loadVenueRegistry, odsDate, upstreamImageUrl,
+} from "./lib/agenda.mjs";
+import { DEFAULT_PROVIDER_ORDER, resolveProviders } from "./providers/index.mjs";
+import { normalizeText, tokens } from "./providers/text.mjs";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // --- Config ---
 const TARGET_UID = (process.env.TARGET_UID || "").trim();
-const BORDEAUX_API_BASE =
-  "https://datahub.bordeaux-metropole.fr/api/explore/v2.1/catalog/datasets/met_agenda/records";
 
 const OUT_PATH = path.resolve(__dirname, "..", "assets", "event-images.json");
+const STATE_PATH = path.resolve(__dirname, "..", "assets", "enrich-state.json");
 
 const MAX_EVENTS = parseInt(process.env.MAX_EVENTS || "5000", 10);
 const CONCURRENCY = parseInt(process.env.CONCURRENCY || "1", 10);
+const FULL_RESYNC = (process.env.FULL_RESYNC || "").trim() === "1";
+const PRUNE = (process.env.PRUNE || "").trim() === "1";
+const PRUNE_AFTER_DAYS = parseInt(process.env.PRUNE_AFTER_DAYS || "30", 10);
+const VENUE_REPORT_TOP = parseInt(process.env.VENUE_REPORT_TOP || "15", 10);
 
-const OPENAGENDA_KEY = (process.env.OPENAGENDA_KEY || "").trim();
-// OFFICIAL_IMAGES=1 => on tente OpenAgenda avant Openverse
+// OFFICIAL_IMAGES=1 => on tente OpenAgenda avant Openverse (OFFICIAL_IMAGES=0 drops "openagenda" from the chain)
 const OFFICIAL_IMAGES = (process.env.OFFICIAL_IMAGES || "1").trim() === "1";
 
+// Provider chain, in order (see scripts/providers/index.mjs)
+const IMAGE_PROVIDERS = (process.env.IMAGE_PROVIDERS || DEFAULT_PROVIDER_ORDER.join(","))
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean)
+  .filter((name) => OFFICIAL_IMAGES || name !== "openagenda");
+
 const MIN_WIDTH = parseInt(process.env.MIN_WIDTH || "600", 10);
 
-const OPENVERSE_PAGE_SIZE = parseInt(process.env.OPENVERSE_PAGE_SIZE || "20", 10);
 const ALLOWED_LICENSES = (process.env.ALLOWED_LICENSES || "cc0,pdm,by,by-sa")
   .split(",")
   .map((s) => s.trim().toLowerCase())
   .filter(Boolean);
 
-const PREFERRED_OPENVERSE_PROVIDERS = new Set([
-  "stocksnap",
-  "unsplash",
-  "pexels",
-]);
-
-const BORDEAUX_LIBRARIES_INDEX = "https://bibliotheque.bordeaux.fr/pratique/les-bibliotheques";
-const BORDEAUX_FR_TIMEOUT_MS = parseInt(process.env.BORDEAUX_FR_TIMEOUT_MS || "20000", 10);
-const DEBUG_LIBS = (process.env.DEBUG_LIBS || "").trim() === "1";
-
-// Optional proxy fallback (handy if bordeaux.fr rate-limits or is slow in CI)
-const BORDEAUX_FR_PROXY_PREFIX = (process.env.BORDEAUX_FR_PROXY_PREFIX || "").trim(); 
-// example value if you choose to use it: "https://r.jina.ai/https://"
-
-
 // --- Small helpers ---
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-async function fetchOpenAgendaEvent({ agendaUID, eventUID, apiKey }) {
-  const url = `https://api.openagenda.com/v2/agendas/${agendaUID}/events/${eventUID}`;
-  const res = await fetch(url, { headers: { key: apiKey, Accept: "application/json" } });
-  if (!res.ok) return null;
-  const data = await res.json();
-  return data.event || data; // selon la forme de réponse
-}
-
-function isBibliotheque(row) {
-  const n = normalizeText(row?.location_name || "");
-  if (DEBUG_LIBS) {
-    console.log(`[libs] location_name="${row?.location_name || ""}" normalized="${n}"`);
-  }
-  return n.includes("bibliotheque"); // handles “bibliothèque” thanks to normalizeText()
-}
-
-async function fetchText(url) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), BORDEAUX_FR_TIMEOUT_MS);
-  try {
-    const res = await fetch(url, {
-      signal: ctrl.signal,
-      headers: {
-        "User-Agent": "agenda-bdx-image-enricher/1.0 (GitHub Actions)",
-        "Accept": "text/html,*/*",
-        "Accept-Language": "fr-FR,fr;q=0.9,en;q=0.5",
-      },
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return await res.text();
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-function withOptionalProxy(url) {
-  if (!BORDEAUX_FR_PROXY_PREFIX) return url;
-  // expects a prefix that ends with "https://"
-  return BORDEAUX_FR_PROXY_PREFIX + url.replace(/^https?:\/\//, "");
-}
-
-function extractOgImage(html) {
-  const m =
-    html.match(/property=["']og:image:secure_url["'][^>]*content=["']([^"']+)["']/i) ||
-    html.match(/property=["']og:image:url["'][^>]*content=["']([^"']+)["']/i) ||
-    html.match(/property=["']og:image["'][^>]*content=["']([^"']+)["']/i) ||
-    html.match(/name=["']twitter:image["'][^>]*content=["']([^"']+)["']/i);
-  return m?.[1] || "";
-}
-
-// Very lightweight “link extraction” without adding cheerio:
-// tries to find anchors pointing to "/bibliotheque-...."
-function extractLibraryLinks(html) {
-  const out = [];
-  const re = /<a[^>]+href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
-  let m;
-  while ((m = re.exec(html))) {
-    const href = m[1];
-    const text = stripHtml(m[2]);
-    if (!href || !text) continue;
-
-    const hrefNorm = normalizeText(href);
-    const textNorm = normalizeText(text);
-    const looksLikeLibrary =
-      hrefNorm.includes("bibliotheque") ||
-      hrefNorm.includes("bibliotheque bordeaux fr") ||
-      textNorm.includes("bibliotheque");
-
-    if (!looksLikeLibrary) continue;
-    out.push({ href, text });
-  }
-  return out;
-}
-
-let librariesCache = null;
-
-async function loadLibrariesIndex() {
-  if (librariesCache) return librariesCache;
-
-  // try direct, then optional proxy
-  let html;
-  try {
-    html = await fetchText(BORDEAUX_LIBRARIES_INDEX);
-  } catch (e) {
-    if (!BORDEAUX_FR_PROXY_PREFIX) throw e;
-    html = await fetchText(withOptionalProxy(BORDEAUX_LIBRARIES_INDEX));
-  }
-
-  const links = extractLibraryLinks(html);
-  librariesCache = { links, html };
-  return librariesCache;
-}
-
-function extractAttr(tag, name) {
-  const re = new RegExp(`${name}=["']([^"']+)["']`, "i");
-  return tag.match(re)?.[1] || "";
-}
-
-function firstNonEmpty(values) {
-  for (const v of values) {
-    if (v) return v;
-  }
-  return "";
-}
-
-function extractTitleParam(url) {
-  return url.match(/[?&]title=([^&]+)/i)?.[1] || "";
-}
-
-function decodePlus(input) {
-  try {
-    return decodeURIComponent(String(input).replace(/\+/g, " "));
-  } catch {
-    return String(input);
-  }
-}
-
-function extractLibraryCardImage(html, libraryName) {
-  const target = normalizeText(libraryName);
-  if (!target) return "";
-  const re = /<img[^>]+>/gi;
-  let m;
-  let logged = 0;
-  while ((m = re.exec(html))) {
-    const tag = m[0];
-    const src = firstNonEmpty([
-      extractAttr(tag, "src"),
-      extractAttr(tag, "data-src"),
-      extractAttr(tag, "data-original"),
-      extractAttr(tag, "data-lazy"),
-    ]);
-    const srcset = extractAttr(tag, "srcset");
-    const srcsetUrl = srcset ? srcset.split(",")[0]?.trim().split(" ")[0] : "";
-    const urlForTitle = firstNonEmpty([src, srcsetUrl]);
-    if (!urlForTitle) continue;
-
-    const titleAttr = extractAttr(tag, "title");
-    const altAttr = extractAttr(tag, "alt");
-    const titleParam = extractTitleParam(urlForTitle);
-    const candidate = normalizeText(firstNonEmpty([titleAttr, altAttr, decodePlus(titleParam)]));
-    if (!candidate) continue;
-
-    if (DEBUG_LIBS && logged < 6) {
-      console.log(
-        `[libs] img title="${titleAttr}" alt="${altAttr}" candidate="${candidate}" src="${urlForTitle}"`
-      );
-      logged += 1;
-    }
-
-    if (candidate.includes(target) || target.includes(candidate)) {
-      if (DEBUG_LIBS) {
-        console.log(`[libs] matched "${libraryName}" with candidate "${candidate}"`);
-      }
-      return src;
-    }
-  }
-  if (DEBUG_LIBS) {
-    console.log(`[libs] no image match for "${libraryName}" (target="${target}")`);
-  }
-  return "";
-}
-
-async function pickBordeauxLibraryImage(row) {
-  const venue = row?.location_name || "";
-  const venueTokens = tokens(venue);
-
-  const { links, html } = await loadLibrariesIndex();
-
-  const best = links
-    .map((x) => ({ x, s: overlapScore(venueTokens, x.text) }))
-    .sort((a, b) => b.s - a.s)[0]?.x;
-
-  if (!best || !best.href) {
-    const fallbackImg = html ? extractLibraryCardImage(html, venue) : "";
-    if (!fallbackImg) return null;
-    const imgUrl = fallbackImg.startsWith("http")
-      ? fallbackImg
-      : new URL(fallbackImg, "https://bibliotheque.bordeaux.fr").toString();
-    return {
-      url: imgUrl,
-      provider: "Bibliotheque Bordeaux",
-      page_url: BORDEAUX_LIBRARIES_INDEX,
-      author: "",
-      license: "",
-      credit: "",
-      width: null,
-      height: null,
-      source_url: BORDEAUX_LIBRARIES_INDEX,
-    };
-  }
-
-  const pageUrl = best.href.startsWith("http")
-    ? best.href
-    : new URL(best.href, "https://www.bordeaux.fr").toString();
-
-  let pageHtml;
-  try {
-    pageHtml = await fetchText(pageUrl);
-  } catch (e) {
-    if (!BORDEAUX_FR_PROXY_PREFIX) return null;
-    pageHtml = await fetchText(withOptionalProxy(pageUrl));
-  }
-
-  let img = extractOgImage(pageHtml);
-  if (!img && html) {
-    img = extractLibraryCardImage(html, best.text);
-  }
-  if (!img) return null;
-
-  const imgUrl = img.startsWith("http")
-    ? img
-    : new URL(img, "https://bibliotheque.bordeaux.fr").toString();
-
-  return {
-    url: imgUrl,
-    provider: "Bibliotheque Bordeaux",
-    page_url: pageUrl,
-    author: "",
-    license: "",
-    credit: "",
-    width: null,
-    height: null,
-    source_url: pageUrl,
-  };
-}
-
-// Si jamais l'UID n'est PAS le même entre Bordeaux et OpenAgenda,
-// OpenAgenda prévoit aussi une lecture “par identifiant externe” via /events/ext/... :contentReference[oaicite:4]{index=4}
-async function fetchOpenAgendaEventByExt({ agendaUID, extKey, extValue, apiKey }) {
-  const url = `https://api.openagenda.com/v2/agendas/${agendaUID}/events/ext/${extKey}/${extValue}`;
-  const res = await fetch(url, { headers: { key: apiKey, Accept: "application/json" } });
-  if (!res.ok) return null;
-  const data = await res.json();
-  return data.event || data;
-}
-
-function pickOAImage(evt) {
-  // champs typiques côté OpenAgenda (image / thumbnail / originalImage + credits) :contentReference[oaicite:5]{index=5}
-  const url =
-    evt?.image ||
-    evt?.thumbnail ||
-    evt?.originalImage ||
-    evt?.location?.image ||
-    "";
-  const credit = evt?.imageCredits || evt?.location?.imageCredits || "";
-  return url ? { url, credit } : null;
-}
-
-function stripHtml(s) {
-  return String(s || "")
-    .replace(/<[^>]*>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-function normalizeText(s) {
-  return String(s || "")
-    .toLowerCase()
-    .normalize("NFD")
-    .replace(/\p{Diacritic}/gu, "")
-    .replace(/[^a-z0-9]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
+const api = createScriptHttpClient("Bordeaux API", { userAgent: "agenda-bdx-image-enricher/1.0 (GitHub Actions)" });
 
 async function fetchOneByUid(uid) {
-  const url = new URL(BORDEAUX_API_BASE);
+  const url = new URL(API_BASE);
   url.searchParams.set("where", `uid=${uid}`);
   url.searchParams.set("limit", "1");
 
-  const res = await fetch(url.toString(), {
-    headers: {
-      "User-Agent": "agenda-bdx-image-enricher/1.0 (GitHub Actions)",
-      Accept: "application/json",
-    },
-  });
-
-  if (!res.ok) throw new Error(`Bordeaux API error ${res.status}: ${await res.text()}`);
-  const data = await res.json();
+  const data = await api.getJson(url.toString());
   return data?.results?.[0] || null;
 }
 
-function tokens(s) {
-  const t = normalizeText(s).split(" ").filter(Boolean);
-  // remove very short tokens
-  return t.filter((x) => x.length >= 3);
-}
-
-function overlapScore(aTokens, bText) {
-  const b = new Set(tokens(bText));
-  let score = 0;
-  for (const t of aTokens) if (b.has(t)) score += 1;
-  return score;
-}
-
+// Same reading of location_image as the pages (agenda-core.mjs)
 function isMissingImage(row) {
-  const v = row?.location_image;
-  if (v == null) return true;
-  if (Array.isArray(v)) return v.length === 0;
-  if (typeof v === "string") return v.trim() === "";
-  // Sometimes Opendatasoft returns {url: "..."} or similar
-  if (typeof v === "object") {
-    const url = v?.url || v?.href;
-    return !url;
-  }
-  return false;
+  return !upstreamImageUrl(row);
 }
 
-function bestImageUrlFromRow(row) {
-  // if you want to allow upstream images, you can extract them here
-  const v = row?.location_image;
-  if (!v) return "";
-  if (typeof v === "string") return v;
-  if (Array.isArray(v)) return v?.[0]?.url || v?.[0] || "";
-  if (typeof v === "object") return v?.url || v?.href || "";
-  return "";
+function laterUpdatedAt(a, b) {
+  const tb = Date.parse(b || "");
+  if (!Number.isFinite(tb)) return a;
+  const ta = Date.parse(a || "");
+  return Number.isFinite(ta) && ta >= tb ? a : new Date(tb).toISOString();
 }
 
 // --- Bordeaux Metropole events fetch ---
-async function fetchAgendaPage(offset, limit) {
-  const url = new URL(BORDEAUX_API_BASE);
+// Records updated at/after `since` (the whole dataset without it: first run / FULL_RESYNC=1),
+// always oldest first: a run stopped by MAX_EVENTS or the offset cap has seen every record
+// up to its cursor, and the next run resumes from there.
+async function fetchAgendaPage(offset, limit, since = "") {
+  const url = new URL(API_BASE);
   url.searchParams.set("limit", String(limit));
   url.searchParams.set("offset", String(offset));
-  url.searchParams.set("order_by", "updatedat desc");
+  if (since) url.searchParams.set("where", `updatedat >= ${odsDate(new Date(since))}`);
+  url.searchParams.set("order_by", "updatedat asc");
 
   // NOTE: we intentionally do NOT use the `select` parameter here.
   // The met_agenda schema can evolve and unknown fields would break the job (HTTP 400).
   // Fetching full records is slower but much more robust.
 
-  // NOTE: filtering via `where` is possible but field shapes vary.
-  // We fetch pages and filter client-side to avoid missing records.
-const res = await fetch(url.toString(), {
-  headers: {
-    "User-Agent": "agenda-bdx-image-enricher/1.0 (GitHub Actions)",
-    Accept: "application/json",
-  },
-});
-
-if (res.ok) return res.json();
-
-const body = await res.text();
-
-// If the dataset schema changed (unknown field in SELECT), retry without SELECT.
-if (res.status === 400 && body.includes("Unknown field")) {
-  const url2 = new URL(url.toString());
-  url2.searchParams.delete("select");
-
-  const res2 = await fetch(url2.toString(), {
-    headers: {
-      "User-Agent": "agenda-bdx-image-enricher/1.0 (GitHub Actions)",
-      Accept: "application/json",
-    },
-  });
-
-  if (res2.ok) return res2.json();
-  throw new Error(`Bordeaux API error ${res2.status} after retry: ${await res2.text()}`);
+  // NOTE: image filtering via `where` is possible but field shapes vary.
+  // We fetch pages and filter client-side to avoid missing records
+  // (only the updatedat cursor goes into `where`).
+  return api.getJson(url.toString());
 }
 
-throw new Error(`Bordeaux API error ${res.status}: ${body}`);
-
-}
-
-async function fetchEventsMissingImages(maxEvents) {
+/**
+ * Scan records updated since `since` (or all of them) and split them into rows still
+ * missing an image and rows that now have an upstream one.
+ * `cursor` is the latest updatedat looked at: the next run starts from there.
+ */
+async function fetchEventsMissingImages(maxEvents, since = "") {
   const limit = 100;
   let offset = 0;
   const out = [];
+  const withUpstream = [];
+  let cursor = since;
 
   while (out.length < maxEvents) {
-    const data = await fetchAgendaPage(offset, limit);
+    const data = await fetchAgendaPage(offset, limit, since);
     const rows = data?.results || [];
     if (!rows.length) break;
 
     for (const row of rows) {
       if (isMissingImage(row)) out.push(row);
+      else withUpstream.push({ uid: String(row?.uid || "").trim(), slug: String(row?.slug || "").trim() });
+      cursor = laterUpdatedAt(cursor, row?.updatedat);
       if (out.length >= maxEvents) break;
     }
     offset += rows.length;
 
-    // Safety stop (avoid infinite loops if API behaves oddly)
-    if (offset > 20000) break;
+    // Opendatasoft refuses offset + limit > 10000; the next run resumes from the cursor.
+    if (rows.length < limit || offset + limit > 10000) break;
   }
 
-  return out;
-}
-
-// --- Openverse ---
-async function openverseSearch(query) {
-  const url = new URL("https://api.openverse.org/v1/images/");
-  url.searchParams.set("q", query);
-  url.searchParams.set("page_size", String(Math.min(OPENVERSE_PAGE_SIZE, 20))); // unauth often limited to 20
-  // Filter to licenses you accept
-  // Openverse expects license codes separated by comma
-  url.searchParams.set("license", ALLOWED_LICENSES.join(","));
-  url.searchParams.set("excluded_source", "wikimedia");
-  url.searchParams.set("category", "photograph");
-  
-  const res = await fetch(url.toString(), {
-    headers: {
-      "User-Agent": "agenda-bdx-image-enricher/1.0 (GitHub Actions)",
-      Accept: "application/json",
-    },
-  });
-  if (!res.ok) throw new Error(`Openverse error ${res.status}`);
-  const data = await res.json();
-  return Array.isArray(data?.results) ? data.results : [];
-}
-
-function scoreOpenverseResult(evTokens, r) {
-  const title = r?.title || "";
-  const creator = r?.creator || r?.creator_name || "";
-  const tags = Array.isArray(r?.tags) ? r.tags.map((t) => t?.name || t).join(" ") : "";
-  const provider = (r?.provider || r?.source || "").toString().toLowerCase();
-
-  const width = r?.width || 0;
-  const height = r?.height || 0;
-
-  let score = 0;
-  score += overlapScore(evTokens, title) * 3;
-  score += overlapScore(evTokens, creator) * 1;
-  score += overlapScore(evTokens, tags) * 1;
-
-  if (width >= 2000 || height >= 2000) score += 4;
-  else if (width >= MIN_WIDTH) score += 2;
-
-  if (PREFERRED_OPENVERSE_PROVIDERS.has(provider)) score += 4;
-
-  // Prefer results with clear attribution fields
-  if (creator) score += 1;
-  if (r?.license) score += 1;
-  if (r?.foreign_landing_url) score += 1;
-
-  return score;
-}
-
-function toMappingFromOpenverse(r) {
-  return {
-    url: r?.url || r?.thumbnail || "",
-    provider: r?.provider || "Openverse",
-    page_url: r?.foreign_landing_url || "",
-    author: r?.creator || r?.creator_name || "",
-    license: r?.license || "",
-    // optional (nice to keep)
-    source_url: r?.source || "",
-    credit: [r?.creator || r?.creator_name, r?.license].filter(Boolean).join(" · "),
-    width: r?.width || null,
-    height: r?.height || null,
-  };
-}
-
-// --- Concurrency limiter ---
-function createLimiter(max) {
-  let active = 0;
-  const queue = [];
-  const next = () => {
-    if (active >= max || queue.length === 0) return;
-    active += 1;
-    const { fn, resolve, reject } = queue.shift();
-    fn()
-      .then(resolve, reject)
-      .finally(() => {
-        active -= 1;
-        next();
-      });
-  };
-  return (fn) =>
-    new Promise((resolve, reject) => {
-      queue.push({ fn, resolve, reject });
-      next();
-    });
+  return { rows: out, withUpstream, cursor };
 }
 
 // --- Main enrichment logic ---
@@ -552,81 +175,61 @@ function buildSearchQuery(row) {
   return [title, city, "France"].filter(Boolean).join(" ");
 }
 
-async function pickBestImageForEvent(row) {
-  const q = buildSearchQuery(row);
-  const evTokens = tokens(q);
-  const agendaUID = String(row?.originagenda_uid || "").trim();
-  // 0) Bordeaux API official image (if present)
-  const upstream = bestImageUrlFromRow(row);
-  
-  if (upstream) {
-    return {
-      url: upstream,
-      provider: "Bordeaux Metropole (met_agenda)",
-      page_url: "",
-      author: "",
-      license: "",
-      credit: "",
-      width: null,
-      height: null,
-      source_url: "",
-    };
-  }
-  
-  // 0) Try OpenAgenda "official" image first (if enabled)
-  if (OFFICIAL_IMAGES && OPENAGENDA_KEY && agendaUID) {
-    // tentative 1: supposer que row.uid == eventUID OpenAgenda
-    const oa = await fetchOpenAgendaEvent({
-      agendaUID,
-      eventUID: String(row?.uid || "").trim(),
-      apiKey: OPENAGENDA_KEY
-    });
-
-    const oaImg = oa ? pickOAImage(oa) : null;
-    if (oaImg?.url) {
-      return {
-        url: oaImg.url,
-        provider: "OpenAgenda",
-        page_url: oa?.canonicalUrl || oa?.url || "",
-        author: "",
-        license: "",
-        credit: oaImg.credit || "",
-        source_url: oa?.canonicalUrl || oa?.url || ""
-      };
-    }
-  }
+const providerChain = resolveProviders(IMAGE_PROVIDERS);
 
+// "venue"-scoped providers answer once per normalized buildSearchQuery() and run.
+// Promises are cached so concurrent events at the same venue share one lookup.
+const venueCache = new Map();
 
-  // 1) If no official image, and venue is a bibliothèque -> scrape Bordeaux.fr
-  if (DEBUG_LIBS) {
-    console.log("[libs] checking bibliotheque branch");
+async function runProvider(provider, row, ctx) {
+  const notes = [];
+  try {
+    const picked = await provider.find(row, { ...ctx, note: (reason) => notes.push(reason) });
+    return { picked: picked?.url ? picked : null, notes };
+  } catch (e) {
+    return { picked: null, notes: [...notes, `error: ${e?.message || e}`] };
   }
-  if (isBibliotheque(row)) {
-    try {
-      const libImg = await pickBordeauxLibraryImage(row);
-      if (libImg?.url) return libImg;
-    } catch (e) {
-      // ignore and continue
+}
+
+/**
+ * Walk the provider chain; returns { picked, source, why } or { picked: null, notes }.
+ * `venue` is the assets/venues.json entry of the row, if any.
+ */
+async function pickBestImageForEvent(row, venue = null) {
+  const query = buildSearchQuery(row);
+  const ctx = {
+    query,
+    evTokens: tokens(query),
+    minWidth: MIN_WIDTH,
+    allowedLicenses: ALLOWED_LICENSES,
+  };
+  const notes = [];
+
+  for (const provider of providerChain) {
+    // A venue photo would not beat the one already curated in the registry
+    if (provider.scope === "venue" && venue?.image?.url) {
+      notes.push(`${provider.name}: skipped, venue registry has an image for "${venue.name || venue.key}"`);
+      continue;
     }
-  }
-  
-  // 2) Openverse
-  try {
-    const results = await openverseSearch(q);
-    const best = results
-      .map((r) => ({ r, s: scoreOpenverseResult(evTokens, r) }))
-      .sort((a, b) => b.s - a.s)[0];
-
-    if (best?.r) {
-      const mapped = toMappingFromOpenverse(best.r);
-      const width = best.r?.width || 0;
-      if (mapped.url && (width >= MIN_WIDTH || !width)) return mapped;
+    let result;
+    let cached = false;
+    if (provider.scope === "venue") {
+      const key = `${provider.name}|${normalizeText(query)}`;
+      cached = venueCache.has(key);
+      if (!cached) venueCache.set(key, runProvider(provider, row, ctx));
+      result = await venueCache.get(key);
+    } else {
+      result = await runProvider(provider, row, ctx);
     }
-  } catch (e) {
-    // continue to fallback
+
+    if (result.picked) {
+      const { why, ...picked } = result.picked;
+      return { picked, source: provider.name, why: `${why || ""}${cached ? " [venue cache]" : ""}` };
+    }
+    notes.push(...result.notes.map((n) => `${provider.name}: ${n}${cached ? " [venue cache]" : ""}`));
   }
 
-  return null;
+  return { picked: null, notes };
 }
 
 function readExistingMap(outPath) {
@@ -640,23 +243,161 @@ function readExistingMap(outPath) {
   }
 }
 
+// Entries of events whose upstream location_image appeared: the front end uses the
+// upstream image first, so they are dead weight.
+function dropSupersededEntries(existing, withUpstream) {
+  let dropped = 0;
+  for (const { uid, slug } of withUpstream) {
+    const entry = uid ? existing[uid] : null;
+    if (!entry) continue;
+    delete existing[uid];
+    if (slug && existing[slug] && existing[slug].url === entry.url) delete existing[slug];
+    dropped += 1;
+    console.log(`[enrich] x ${uid} (upstream image now available)`);
+  }
+  return dropped;
+}
+
+// --- Pruning (PRUNE=1) ---
+const LOOKUP_CHUNK = 100;
+
+function odsString(s) {
+  return `"${String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// Records matching any of `values` on `field`, by batches (one request per LOOKUP_CHUNK keys).
+// Any API error aborts: a failed lookup must not look like "deleted upstream".
+async function fetchRecordsBy(field, values) {
+  const found = new Map();
+  for (let i = 0; i < values.length; i += LOOKUP_CHUNK) {
+    const chunk = values.slice(i, i + LOOKUP_CHUNK);
+    const url = new URL(API_BASE);
+    // uid is compared unquoted, like fetchOneByUid()
+    const terms = chunk.map((v) => (field === "uid" ? `uid=${v}` : `${field}=${odsString(v)}`));
+    url.searchParams.set("where", terms.join(" OR "));
+    url.searchParams.set("limit", String(LOOKUP_CHUNK));
+
+    const data = await api.getJson(url.toString());
+    for (const row of data?.results || []) {
+      const key = String(row?.[field] ?? "").trim();
+      if (key) found.set(key, row);
+    }
+    await sleep(100);
+  }
+  return found;
+}
+
+function rowEndedBefore(row, cutoff) {
+  const end = Date.parse(row?.lastdate_end || row?.firstdate_end || "");
+  return Number.isFinite(end) && end < cutoff;
+}
+
+async function pruneImageMap() {
+  const existing = readExistingMap(OUT_PATH);
+  const keys = Object.keys(existing);
+  const before = JSON.stringify(existing).length;
+  const cutoff = Date.now() - PRUNE_AFTER_DAYS * 24 * 60 * 60 * 1000;
+
+  // met_agenda uids are numeric; anything else is a slug key written by older runs
+  const uidKeys = keys.filter((k) => /^\d+$/.test(k));
+  const slugKeys = keys.filter((k) => !/^\d+$/.test(k));
+  console.log(`[prune] ${keys.length} keys (${uidKeys.length} uids, ${slugKeys.length} slugs), cutoff ${PRUNE_AFTER_DAYS} days`);
+
+  const byUid = await fetchRecordsBy("uid", uidKeys);
+  const bySlug = await fetchRecordsBy("slug", slugKeys);
+
+  const out = {};
+  const removed = { expired: [], missing: [], collapsed: [] };
+
+  const keep = (uid, entry, aliases) => {
+    const merged = new Set([...(Array.isArray(entry.aliases) ? entry.aliases : []), ...aliases]);
+    merged.delete(uid);
+    const { aliases: _old, ...rest } = entry;
+    out[uid] = merged.size ? { ...rest, aliases: [...merged].sort() } : rest;
+  };
+
+  for (const uid of uidKeys) {
+    const row = byUid.get(uid);
+    if (!row) removed.missing.push(uid);
+    else if (rowEndedBefore(row, cutoff)) removed.expired.push(uid);
+    else keep(uid, existing[uid], [String(row?.slug || "").trim()].filter(Boolean));
+  }
+
+  for (const slug of slugKeys) {
+    const row = bySlug.get(slug);
+    const uid = String(row?.uid ?? "").trim();
+    if (!row || !uid) {
+      removed.missing.push(slug);
+    } else if (rowEndedBefore(row, cutoff)) {
+      removed.expired.push(slug);
+    } else {
+      // Duplicate of the uid record: fold it in. Only ever stored under its slug: re-key by uid.
+      keep(uid, out[uid] || existing[slug], [slug]);
+      removed.collapsed.push(slug);
+    }
+  }
+
+  const sorted = Object.fromEntries(Object.keys(out).sort().map((k) => [k, out[k]]));
+  fs.writeFileSync(OUT_PATH, JSON.stringify(sorted, null, 2) + "\n", "utf-8");
+
+  const after = JSON.stringify(sorted).length;
+  const sample = (list) => list.slice(0, 20).join(", ") + (list.length > 20 ? ", …" : "");
+  console.log(`[prune] Summary`);
+  console.log(`[prune]   expired (ended > ${PRUNE_AFTER_DAYS} days ago): ${removed.expired.length}${removed.expired.length ? ` (${sample(removed.expired)})` : ""}`);
+  console.log(`[prune]   no longer upstream: ${removed.missing.length}${removed.missing.length ? ` (${sample(removed.missing)})` : ""}`);
+  console.log(`[prune]   slug keys collapsed into aliases: ${removed.collapsed.length}`);
+  console.log(`[prune]   records kept: ${Object.keys(sorted).length} (was ${keys.length} keys)`);
+  console.log(`[prune]   size: ${before} -> ${after} bytes (minified)`);
+}
+
 function ensureDirExists(p) {
   fs.mkdirSync(path.dirname(p), { recursive: true });
 }
 
 async function main() {
+  if (PRUNE) {
+    await pruneImageMap();
+    return;
+  }
+
+  const state = readExistingMap(STATE_PATH);
+  const since = FULL_RESYNC ? "" : (typeof state.cursor === "string" ? state.cursor : "");
+  if (!TARGET_UID) {
+    console.log(since
+      ? `[enrich] Incremental run: records updated since ${since}`
+      : `[enrich] Full scan${FULL_RESYNC ? " (FULL_RESYNC=1)" : " (no cursor yet)"}`);
+  }
+
   console.log(`[enrich] Fetching up to ${MAX_EVENTS} events missing images…`);
-  //const rows = await fetchEventsMissingImages(MAX_EVENTS);
-  const rows = TARGET_UID
-  ? [await fetchOneByUid(TARGET_UID)].filter(Boolean)
-  : await fetchEventsMissingImages(MAX_EVENTS);
+  const scan = TARGET_UID
+    ? { rows: [await fetchOneByUid(TARGET_UID)].filter(Boolean), withUpstream: [], cursor: "" }
+    : await fetchEventsMissingImages(MAX_EVENTS, since);
+  const rows = [...scan.rows];
 
   console.log(`[enrich] TARGET_UID=${TARGET_UID || "(none)"}; rows=${rows.length}`);
-  //
   console.log(`[enrich] Found ${rows.length} events without images`);
 
   ensureDirExists(OUT_PATH);
   const existing = readExistingMap(OUT_PATH);
+  const dropped = dropSupersededEntries(existing, scan.withUpstream);
+
+  // uid -> { url, reason } written by validate-images.mjs: forget the bad image and search again
+  const requeue = (!TARGET_UID && state.requeue && typeof state.requeue === "object") ? state.requeue : {};
+  const requeueUids = Object.keys(requeue);
+  if (requeueUids.length) {
+    console.log(`[enrich] Re-queued by validation: ${requeueUids.length}`);
+    const found = await fetchRecordsBy("uid", requeueUids);
+    const queued = new Set(rows.map((row) => String(row?.uid || "").trim()));
+    for (const uid of requeueUids) {
+      if (existing[uid]?.url === requeue[uid]?.url) delete existing[uid];
+      const row = found.get(uid);
+      if (row && isMissingImage(row) && !queued.has(uid)) rows.push(row);
+    }
+  }
+
+  const venues = loadVenueRegistry();
+  // normalized venue name -> { name, count } for events still without an image
+  const unregistered = new Map();
 
   const limiter = createLimiter(CONCURRENCY);
 
@@ -675,24 +416,41 @@ async function main() {
         return;
       }
 
-      const picked = await pickBestImageForEvent(row);
+      const venue = findVenue(venues, {
+        venue: row?.location_name,
+        district: row?.location_district,
+        city: row?.location_city,
+      });
+      const { picked, source, why, notes } = await pickBestImageForEvent(row, venue);
       // small delay to be gentle on APIs
       await sleep(250);
 
-      if (picked?.url) {
+      if (picked?.url && picked.url === requeue[uid]?.url) {
+        console.log(`[enrich] - ${uid} (only the rejected image again)`);
+      } else if (picked?.url) {
         const entry = {
           ...picked,
           // optional: keep a tiny trace for debugging
           q: buildSearchQuery(row),
           updated_at: new Date().toISOString(),
         };
-        if (uid) existing[uid] = entry;
-        // Optionally also map by slug
-        if (slug && !existing[slug]) existing[slug] = entry;
+        if (uid) {
+          // One record per event; the front end also indexes it by these aliases
+          if (slug) entry.aliases = [slug];
+          existing[uid] = entry;
+        } else if (slug && !existing[slug]) {
+          existing[slug] = entry;
+        }
         added += 1;
-        console.log(`[enrich] + ${uid || slug} -> ${picked.provider}`);
+        console.log(`[enrich] + ${uid || slug} -> ${source} (${picked.provider}): ${why}`);
       } else {
-        console.log(`[enrich] - ${uid || slug} (no match)`);
+        console.log(`[enrich] - ${uid || slug} (no match${notes?.length ? `: ${notes.join("; ")}` : ""})`);
+        const key = normalizeText(row?.location_name);
+        if (!venue && key) {
+          const seen = unregistered.get(key) || { name: row.location_name, count: 0 };
+          seen.count += 1;
+          unregistered.set(key, seen);
+        }
       }
 
       done += 1;
@@ -703,7 +461,24 @@ async function main() {
   await Promise.all(tasks);
 
   fs.writeFileSync(OUT_PATH, JSON.stringify(existing, null, 2) + "\n", "utf-8");
-  console.log(`[enrich] Wrote ${OUT_PATH} (added ${added} entries)`);
+  console.log(`[enrich] Wrote ${OUT_PATH} (added ${added} entries, dropped ${dropped})`);
+
+  if (VENUE_REPORT_TOP > 0 && unregistered.size) {
+    const top = [...unregistered.entries()]
+      .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
+      .slice(0, VENUE_REPORT_TOP);
+    console.log(`[enrich] Most frequent venues of events left without an image, not in assets/venues.json (${unregistered.size} in total):`);
+    for (const [key, { name, count }] of top) console.log(`[enrich]   ${count} × ${name} ("${key}")`);
+  }
+
+  // Only move the cursor (and clear the re-queue) once the map is safely written
+  const nextState = { ...state, cursor: scan.cursor || state.cursor };
+  if (requeueUids.length) delete nextState.requeue;
+  if (!nextState.cursor) delete nextState.cursor;
+  if (JSON.stringify(nextState) !== JSON.stringify(state)) {
+    fs.writeFileSync(STATE_PATH, JSON.stringify(nextState, null, 2) + "\n", "utf-8");
+    if (nextState.cursor !== state.cursor) console.log(`[enrich] Cursor -> ${nextState.cursor}`);
+  }
 }
 
 main().catch((e) => {
@@ -0,0 +1,497 @@
+/**
+ * met_agenda records and Europe/Paris date windows, shared by the pages and the Node scripts:
+ *   - index.html, index_enriched.html, admin_post.html import it as an ES module
+ *     (<script type="module">, so the pages must be served over http(s), not opened as file://)
+ *   - the Node scripts get it through agenda.mjs, which adds the file / network loaders
+ *
+ * Only plain JavaScript here (no node: modules, no DOM), so one fix to the field
+ * mapping or to the image order applies everywhere.
+ */
+
+import { normalizeText } from "../providers/text.mjs";
+import { parsePrice } from "./price.mjs";
+
+// Re-exported for the pages, which import this module only
+export { normalizeText } from "../providers/text.mjs";
+export { parsePrice, priceLabel } from "./price.mjs";
+
+// DataHub Bordeaux Métropole (Opendatasoft Explore API v2.1)
+export const BORDEAUX_API_BASE =
+  "https://datahub.bordeaux-metropole.fr/api/explore/v2.1/catalog/datasets/met_agenda/records";
+
+export const DATE_FIELD = "firstdate_begin";
+export const END_FIELD = "lastdate_end";
+export const PAGE_LIMIT = 100; // Opendatasoft maximum
+
+// Default upstream search query (broad on purpose; the pages add stricter client-side filtering)
+export const CULTURE_Q = '(concert OR expo OR exposition OR théâtre OR theatre OR spectacle OR scène OR "musique" OR "festival" OR "performance" OR "danse")';
+
+// Every field normalize() reads
+export const SELECT_FIELDS = [
+  "uid","slug","title_fr","description_fr","longdescription_fr",
+  "daterange_fr", DATE_FIELD, END_FIELD,
+  "firstdate_end","lastdate_begin",
+  "keywords_fr","originagenda_title","updatedat",
+  "conditions_fr","links","onlineaccesslink",
+  "location_name","location_address","location_postalcode","location_city","location_district",
+  "location_coordinates","location_image","location_imagecredits","location_website","location_links"
+].join(",");
+
+// --- Europe/Paris dates ---
+// Day boundaries are computed in Europe/Paris, whatever the browser's (or the runner's) time zone.
+export const PARIS_TZ = "Europe/Paris";
+// "Ce soir" starts at this hour; the week-end starts on Friday at this hour.
+export const EVENING_HOUR = 18;
+
+const PARIS_PARTS = new Intl.DateTimeFormat("en-US", {
+  timeZone: PARIS_TZ, hourCycle: "h23",
+  year: "numeric", month: "2-digit", day: "2-digit",
+  hour: "2-digit", minute: "2-digit", second: "2-digit"
+});
+
+function parisParts(d) {
+  const p = Object.fromEntries(PARIS_PARTS.formatToParts(d).map((x) => [x.type, Number(x.value)]));
+  return { y: p.year, m: p.month, d: p.day, h: p.hour, min: p.minute, s: p.second };
+}
+
+// "YYYY-MM-DD" of the Paris calendar day containing `d`
+export function parisYmd(d = new Date()) {
+  const p = parisParts(d);
+  return `${p.y}-${String(p.m).padStart(2, "0")}-${String(p.d).padStart(2, "0")}`;
+}
+
+// Instant of `hour`:00 Paris time on day `ymd` (handles CET/CEST switches)
+export function parisTime(ymd, hour = 0) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  const guess = Date.UTC(y, m - 1, d, hour);
+  const offsetAt = (t) => {
+    const p = parisParts(new Date(t));
+    return Date.UTC(p.y, p.m - 1, p.d, p.h, p.min, p.s) - Math.floor(t / 1000) * 1000;
+  };
+  return new Date(guess - offsetAt(guess - offsetAt(guess)));
+}
+
+export function addDaysYmd(ymd, n) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+// 0 = dimanche … 6 = samedi
+export function weekdayYmd(ymd) {
+  const [y, m, d] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * { from, to } instants (`to` excluded) of a date preset of the pages:
+ * "today", "tonight", "weekend", "week", "custom" (`from` / `to` as "YYYY-MM-DD"),
+ * anything else = the next `upcomingDays` days, today included.
+ */
+export function dateRangeFor(preset, { from = "", to = "", upcomingDays = 15 } = {}, now = new Date()) {
+  const today = parisYmd(now);
+  const dayStart = parisTime(today);
+  switch (preset) {
+    case "today":
+      return { from: dayStart, to: parisTime(addDaysYmd(today, 1)) };
+    case "tonight":
+      return { from: parisTime(today, EVENING_HOUR), to: parisTime(addDaysYmd(today, 1)) };
+    case "weekend": {
+      // Friday evening to Sunday night; on Saturday/Sunday it has already started.
+      const dow = weekdayYmd(today);
+      const friday = addDaysYmd(today, dow === 6 ? -1 : (dow === 0 ? -2 : 5 - dow));
+      const start = parisTime(friday, EVENING_HOUR);
+      return { from: start > dayStart ? start : dayStart, to: parisTime(addDaysYmd(friday, 3)) };
+    }
+    case "week": {
+      // Until Sunday night
+      const dow = weekdayYmd(today);
+      return { from: dayStart, to: parisTime(addDaysYmd(today, dow === 0 ? 1 : 8 - dow)) };
+    }
+    case "custom": {
+      let a = from || today;
+      let b = to || a;
+      if (b < a) [a, b] = [b, a];
+      return { from: parisTime(a), to: parisTime(addDaysYmd(b, 1)) };
+    }
+    default:
+      return { from: dayStart, to: parisTime(addDaysYmd(today, upcomingDays)) };
+  }
+}
+
+// --- Queries ---
+// ODSQL datetime literal
+export function odsDate(d) { return `date'${d.toISOString().replace(/\.\d{3}Z$/, "Z")}'`; }
+
+// Conditions ANDed to a where clause, empty ones skipped
+export function andWhere(...clauses) {
+  return clauses.filter(Boolean).join(" AND ");
+}
+
+// Events starting inside `range` ({ from, to } Dates, `to` excluded)
+export function startsWithin(range) {
+  return `(${DATE_FIELD} >= ${odsDate(range.from)}) AND (${DATE_FIELD} < ${odsDate(range.to)})`;
+}
+
+// Events on at some point of `range`: starting inside it, or started before and still running
+export function overlapsRange(range) {
+  return `(${DATE_FIELD} < ${odsDate(range.to)}) AND (${END_FIELD} >= ${odsDate(range.from)})`;
+}
+
+// Multi-day events that started before `from` and are still running then
+export function runningAt(from) {
+  return `(${DATE_FIELD} < ${odsDate(from)}) AND (${END_FIELD} >= ${odsDate(from)})`;
+}
+
+export function buildApiUrl({
+  where = "", q = CULTURE_Q, select = SELECT_FIELDS, orderBy = `${DATE_FIELD} asc`,
+  limit = PAGE_LIMIT, offset = 0, base = BORDEAUX_API_BASE,
+} = {}) {
+  const u = new URL(base);
+  u.searchParams.set("select", select);
+  if (q) u.searchParams.set("q", q);
+  if (where) u.searchParams.set("where", where);
+  if (orderBy) u.searchParams.set("order_by", orderBy);
+  u.searchParams.set("limit", String(limit));
+  u.searchParams.set("offset", String(offset));
+  return u.toString();
+}
+
+// --- HTML ---
+export function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// --- Record normalization ---
+export function firstUrlFromAny(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  if (Array.isArray(value)) {
+    for (const v of value) {
+      const u = firstUrlFromAny(v);
+      if (u) return u;
+    }
+    return "";
+  }
+  if (typeof value === "object") {
+    for (const k of ["url", "href", "link", "website", "value"]) {
+      if (value[k] && typeof value[k] === "string") return value[k];
+    }
+    for (const k of Object.keys(value)) {
+      const u = firstUrlFromAny(value[k]);
+      if (u) return u;
+    }
+  }
+  return "";
+}
+
+// location_coordinates is a geo_point_2d: {lon, lat} in v2.1, [lat, lon] in older exports.
+export function parseCoordinates(value) {
+  if (!value) return null;
+  let lat = NaN;
+  let lon = NaN;
+  if (Array.isArray(value)) {
+    lat = Number(value[0]);
+    lon = Number(value[1]);
+  } else if (typeof value === "object") {
+    lat = Number(value.lat);
+    lon = Number(value.lon ?? value.lng);
+  } else if (typeof value === "string") {
+    [lat, lon] = value.split(",").map(Number);
+  }
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  return { lat, lon };
+}
+
+const SAFE_PROTOCOLS = new Set(["http:", "https:", "mailto:", "tel:"]);
+
+// Absolute URL with an allowed scheme, else "" (the URL parser drops the tabs and newlines of "java\tscript:")
+export function safeUrl(value) {
+  try {
+    const url = new URL(String(value ?? "").trim());
+    return SAFE_PROTOCOLS.has(url.protocol) ? url.href : "";
+  } catch {
+    return "";
+  }
+}
+
+// OpenAgenda image object ({ base, filename, variants }) or plain URL
+export function openAgendaImageToUrl(u) {
+  if (!u) return "";
+  if (typeof u === "string") return u;
+  if (typeof u === "object") {
+    const base = (u.base || "").replace(/\/?$/, "/");
+    const variants = Array.isArray(u.variants) ? u.variants : [];
+    const best = variants.find((v) => v.type === "full") || variants[0];
+    const filename = best?.filename || u.filename;
+    if (base && filename) return base + filename;
+  }
+  return "";
+}
+
+// Image given by the record itself (location_image: string, {url}, or a list of either)
+export function upstreamImageUrl(row) {
+  const f = row?.record?.fields ?? row ?? {};
+  return firstUrlFromAny(f.location_image).trim();
+}
+
+/**
+ * Supports both Opendatasoft formats:
+ *  - v2.1: fields are flat in `row`
+ *  - older: fields live in `row.record.fields`
+ */
+export function normalize(row) {
+  const f = row?.record?.fields ?? row ?? {};
+
+  const addressParts = [f.location_address, f.location_postalcode, f.location_city].filter(Boolean);
+  const keywords = f.keywords_fr ?? "";
+  const conditions = (f.conditions_fr ?? "").toString();
+  const price = parsePrice(conditions);
+
+  return {
+    uid: String(f.uid ?? ""),
+    slug: String(f.slug ?? ""),
+    title: f.title_fr || f.title || "",
+    desc: f.description_fr ?? "",
+    longdesc: f.longdescription_fr ?? "",
+    keywords: Array.isArray(keywords) ? keywords.join(", ") : keywords,
+    dateLabel: f.daterange_fr ?? "",
+    lastBegin: f.lastdate_begin ?? null,
+    lastEnd: f.lastdate_end ?? null,
+    start: f[DATE_FIELD] ?? null,
+    end: f[END_FIELD] ?? f.firstdate_end ?? null,
+    firstEnd: f.firstdate_end ?? null,
+    updatedAt: f.updatedat ?? null,
+    agenda: f.originagenda_title ?? "",
+    venue: f.location_name ?? "",
+    address: addressParts.join(", "),
+    street: f.location_address ?? "",
+    postalCode: f.location_postalcode ?? "",
+    district: f.location_district ?? "",
+    city: f.location_city ?? "",
+    coords: parseCoordinates(f.location_coordinates),
+    image: upstreamImageUrl(f),
+    imageCredits: f.location_imagecredits ?? "",
+    // Only http(s) / mailto / tel: the link ends up in an href
+    externalUrl: safeUrl(
+      firstUrlFromAny(f.links) ||
+      (typeof f.onlineaccesslink === "string" ? f.onlineaccesslink : "") ||
+      (typeof f.location_website === "string" ? f.location_website : "") ||
+      firstUrlFromAny(f.location_links) ||
+      ""
+    ),
+    conditions,
+    price,
+    isFree: price.free,
+    isPaid: price.paid,
+  };
+}
+
+// --- Categories (the chips of index_enriched.html) ---
+export const CATEGORY_RULES = {
+  concert:  /\b(concert|live|dj|musique|jazz|rock|hip[- ]?hop|electro|orchestre)\b/i,
+  expo:     /\b(expo|exposition|vernissage|musée|museum|galerie|photograph|peinture|sculpture)\b/i,
+  theatre:  /\b(théâtre|theatre|spectacle|scène|scene|comédie|comedie|impro|pièce|piece)\b/i,
+  festival: /\b(festival)\b/i,
+  cinema:   /\b(cinéma|cinema|film|projection)\b/i
+};
+
+export const CATEGORY_LABELS = {
+  concert: "Concert",
+  expo: "Expo",
+  theatre: "Théâtre",
+  festival: "Festival",
+  cinema: "Cinéma",
+};
+
+// Category keys matched by an event ([] is what the pages call "Autre")
+export function eventCategories(ev) {
+  const hay = `${ev.title}\n${ev.desc}\n${ev.keywords}`.toLowerCase();
+  return Object.keys(CATEGORY_RULES).filter((k) => CATEGORY_RULES[k].test(hay));
+}
+
+// --- Images ---
+// One order everywhere, each step only fills what is still missing:
+//   location_image of the record, assets/event-images.json, assets/manual-images.json, assets/venues.json
+
+// assets/event-images.json as { key: entry }: accepts {uid: {...}} or {items:[{uid,...}]}
+export function indexImageMap(data) {
+  const map = Array.isArray(data?.items)
+    ? Object.fromEntries(data.items.filter((x) => x?.uid).map((x) => [String(x.uid), x]))
+    : (data && typeof data === "object" ? data : {});
+  // Pruned maps keep one record per uid and list its slug under "aliases"
+  for (const entry of Object.values(map)) {
+    for (const alias of Array.isArray(entry?.aliases) ? entry.aliases : []) {
+      if (!map[alias]) map[alias] = entry;
+    }
+  }
+  return map;
+}
+
+export function lookupByUidOrSlug(map, ev) {
+  if (!map) return null;
+  const key1 = String(ev.uid ?? "");
+  const key2 = String(ev.slug ?? "");
+  return (key1 && map[key1]) || (key2 && map[key2]) || null;
+}
+
+export function applyImageEnrichment(ev, imageMap) {
+  const m = lookupByUidOrSlug(imageMap, ev);
+  if (!m || typeof m !== "object") return ev;
+
+  const enrichedUrl = (typeof m.url === "string") ? m.url : openAgendaImageToUrl(m.url);
+  if (!ev.image && enrichedUrl) {
+    ev.image = enrichedUrl;
+    ev.imageEnriched = true;
+    // Local copies written by mirror-thumbs.mjs, if they were made from this very image
+    if (m.thumbs?.source === enrichedUrl && Array.isArray(m.thumbs.variants)) ev.imageThumbs = m.thumbs.variants;
+
+    // Attribution (imageAttribution()): only for the image the map provided, an upstream
+    // image keeps its location_imagecredits
+    const text = (v) => (typeof v === "string" ? v.trim() : "");
+    if (!ev.imageCredits) ev.imageCredits = text(m.credit);
+    ev.imageSourceUrl = text(m.page_url);
+    ev.imageProvider = text(m.provider);
+    ev.imageAuthor = text(m.author);
+    ev.imageLicense = text(m.license);
+    ev.imageLicenseVersion = text(m.license_version);
+    ev.imageLicenseUrl = text(m.license_url);
+  }
+
+  // Sometimes a better "official" page exists; keep existing if already set.
+  if (!ev.externalUrl && typeof m.source_url === "string") ev.externalUrl = safeUrl(m.source_url);
+  return ev;
+}
+
+// "assets/thumbs/…-320.webp 320w, …" from the ev.imageThumbs of one MIME type, "" when there are none
+export function thumbSrcset(variants, type) {
+  return (Array.isArray(variants) ? variants : [])
+    .filter((v) => v?.type === type && typeof v.path === "string" && v.path && v.width > 0)
+    .sort((a, b) => a.width - b.width)
+    .map((v) => `${v.path} ${v.width}w`)
+    .join(", ");
+}
+
+// --- Image attribution ---
+const CC_BASE = "https://creativecommons.org";
+
+/**
+ * { label, url } of a license as the providers write it: Openverse codes ("by-sa", with the
+ * version apart), Commons short names ("CC BY-SA 4.0"), "cc0", "pdm" / "Public domain".
+ * Creative Commons licenses only get a deed URL when the version is known.
+ */
+export function licenseInfo(license, version = "") {
+  const raw = String(license ?? "").trim();
+  const s = raw.toLowerCase();
+  if (!s) return { label: "", url: "" };
+  if (/^cc0\b|^cc-zero$/.test(s)) return { label: "CC0 1.0", url: `${CC_BASE}/publicdomain/zero/1.0/` };
+  if (s === "pdm" || s === "pd" || s.startsWith("public domain")) {
+    return { label: "Domaine public", url: `${CC_BASE}/publicdomain/mark/1.0/` };
+  }
+  const m = s.match(/^(?:cc[- ])?(by(?:-nc)?(?:-sa|-nd)?)(?:[- ]v?(\d(?:\.\d)?))?$/);
+  if (!m) return { label: raw, url: "" };
+  const v = m[2] || String(version ?? "").trim();
+  return {
+    label: `CC ${m[1].toUpperCase()}${v ? ` ${v}` : ""}`,
+    url: /^\d(\.\d)?$/.test(v) ? `${CC_BASE}/licenses/${m[1]}/${v}/` : "",
+  };
+}
+
+/**
+ * Attribution of an image that came from assets/event-images.json, null for the others:
+ *   { who, license, licenseUrl, sourceUrl, provider, text }
+ * `who` is the author (else the free-text credit), `text` the plain form used in alt texts
+ * and feeds: "Photo : Jean Dupont, CC BY-SA 4.0 (Openverse)".
+ */
+export function imageAttribution(ev) {
+  if (!ev?.imageEnriched) return null;
+  const info = licenseInfo(ev.imageLicense, ev.imageLicenseVersion);
+  // Openverse credits are "author · license": only worth showing when both are missing
+  const who = ev.imageAuthor || (info.label ? "" : ev.imageCredits || "");
+  const provider = ev.imageProvider || "";
+  const main = [who, info.label].filter(Boolean).join(", ");
+  if (!main && !provider) return null;
+  return {
+    who,
+    license: info.label,
+    licenseUrl: safeUrl(ev.imageLicenseUrl) || info.url,
+    sourceUrl: safeUrl(ev.imageSourceUrl),
+    provider,
+    text: `Photo : ${main || provider}${main && provider ? ` (${provider})` : ""}`,
+  };
+}
+
+// imageAttribution() as HTML: the author links to the image page, the license to its deed
+export function imageAttributionHtml(a) {
+  if (!a) return "";
+  const link = (href, label, rel = "") => (href
+    ? `<a href="${escapeHtml(href)}" target="_blank" rel="${rel ? `${rel} ` : ""}noopener noreferrer">${escapeHtml(label)}</a>`
+    : escapeHtml(label));
+  const who = a.who ? link(a.sourceUrl, a.who) : (a.sourceUrl ? link(a.sourceUrl, "page de l'image") : "");
+  const main = [who, a.license ? link(a.licenseUrl, a.license, "license") : ""].filter(Boolean).join(", ");
+  return `Photo : ${main || escapeHtml(a.provider)}${main && a.provider ? ` (${escapeHtml(a.provider)})` : ""}`;
+}
+
+export function applyManualImage(ev, manualMap) {
+  if (ev.image) return ev;
+  const m = lookupByUidOrSlug(manualMap, ev);
+  if (!m) return ev;
+  const url = (typeof m === "string") ? m : (typeof m.url === "string" ? m.url : "");
+  if (url) ev.image = url;
+  return ev;
+}
+
+// assets/venues.json indexed for findVenue() (format: VENUE REGISTRY in index_enriched.html)
+export function buildVenueRegistry(data) {
+  const byName = new Map();
+  const partial = [];
+  for (const [key, entry] of Object.entries(data && typeof data === "object" ? data : {})) {
+    if (!entry || typeof entry !== "object") continue;
+    const venue = { key, ...entry };
+    for (const name of [key, entry.name, ...(Array.isArray(entry.aliases) ? entry.aliases : [])]) {
+      const n = normalizeText(name);
+      if (n && !byName.has(n)) byName.set(n, venue);
+    }
+    for (const part of Array.isArray(entry.contains) ? entry.contains : []) {
+      const n = normalizeText(part);
+      if (n) partial.push([n, venue]);
+    }
+  }
+  return { byName, partial };
+}
+
+export function findVenue(registry, { venue, district, city }) {
+  const name = normalizeText(venue);
+  if (!name || !registry) return null;
+  const entry = registry.byName.get(name)
+    || registry.partial.find(([part]) => name.includes(part))?.[1]
+    || null;
+  if (!entry) return null;
+  // "districts" pins a common name to one place (matched against the district, else the city)
+  const places = Array.isArray(entry.districts) ? entry.districts.map(normalizeText) : [];
+  if (places.length && !places.includes(normalizeText(district || city))) return null;
+  return entry;
+}
+
+export function applyVenueRegistry(ev, registry) {
+  const entry = findVenue(registry, ev);
+  if (!entry) return ev;
+  if (!ev.image && typeof entry.image?.url === "string" && entry.image.url) {
+    ev.image = entry.image.url;
+    if (!ev.imageCredits && typeof entry.image.credit === "string") ev.imageCredits = entry.image.credit;
+  }
+  const lat = Number(entry.coordinates?.lat);
+  const lon = Number(entry.coordinates?.lon);
+  if (!ev.coords && Number.isFinite(lat) && Number.isFinite(lon)) ev.coords = { lat, lon };
+  if (!ev.externalUrl && typeof entry.website === "string") ev.externalUrl = safeUrl(entry.website);
+  return ev;
+}
+
+// `maps` = { imageMap, manualMap, venues }, any of them may be missing
+export function resolveImages(ev, { imageMap, manualMap, venues } = {}) {
+  return applyVenueRegistry(applyManualImage(applyImageEnrichment(ev, imageMap), manualMap), venues);
+}
@@ -0,0 +1,170 @@
+/**
+ * Shared helpers for the Node scripts that read the met_agenda dataset
+ * (build-ics.mjs, build-event-pages.mjs, …).
+ *
+ * Record handling (normalize, categories, image order, API URLs, Europe/Paris
+ * date windows) lives in agenda-core.mjs, which the pages import too; this
+ * module re-exports it and adds what only Node does: reading assets/*.json,
+ * paging through the API.
+ */
+
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  BORDEAUX_API_BASE, PAGE_LIMIT, SELECT_FIELDS, buildApiUrl, buildVenueRegistry, dateRangeFor, indexImageMap,
+  overlapsRange, startsWithin,
+} from "./agenda-core.mjs";
+import { createHttpClient } from "./http.mjs";
+
+export * from "./agenda-core.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const REPO_ROOT = path.resolve(__dirname, "..", "..");
+export const ASSETS_DIR = path.join(REPO_ROOT, "assets");
+
+// Tags stripped, whitespace collapsed (meta descriptions, feed summaries)
+export function plainText(s) {
+  return String(s ?? "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// --- Image maps from assets/ (order: see resolveImages() in agenda-core.mjs) ---
+function readJsonFile(p) {
+  try {
+    const data = JSON.parse(fs.readFileSync(p, "utf-8"));
+    return data && typeof data === "object" ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadImageMaps() {
+  return {
+    imageMap: indexImageMap(readJsonFile(path.join(ASSETS_DIR, "event-images.json"))),
+    manualMap: readJsonFile(path.join(ASSETS_DIR, "manual-images.json")),
+    venues: loadVenueRegistry(),
+  };
+}
+
+export function loadVenueRegistry(file = path.join(ASSETS_DIR, "venues.json")) {
+  return buildVenueRegistry(readJsonFile(file));
+}
+
+// --- HTTP (see http.mjs) ---
+/**
+ * Env vars, for every script:
+ *   AGENDA_API_BASE=http://127.0.0.1:8787/records   # met_agenda records endpoint (e.g. a local mock server)
+ *   HTTP_RETRIES=3            # retries after a network error, a timeout, a 429 or a 5xx
+ *   HTTP_TIMEOUT=30           # seconds per attempt
+ *   HTTP_CACHE_DIR=.cache/http   # keep JSON responses on disk (off by default)
+ *   HTTP_CACHE_TTL=60         # minutes a cached response stays valid
+ */
+export const API_BASE = (process.env.AGENDA_API_BASE || "").trim() || BORDEAUX_API_BASE;
+
+const HTTP_RETRIES = parseInt(process.env.HTTP_RETRIES || "3", 10);
+const HTTP_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT || "30", 10) * 1000;
+const HTTP_CACHE_DIR = (process.env.HTTP_CACHE_DIR || "").trim();
+const HTTP_CACHE_TTL_MS = parseInt(process.env.HTTP_CACHE_TTL || "60", 10) * 60 * 1000;
+
+// One JSON file per cache key ("json:<url>", sha1 of it)
+export function createDiskCache(dir) {
+  const file = (key) => path.join(dir, `${createHash("sha1").update(key).digest("hex")}.json`);
+  return {
+    get(key) {
+      try {
+        return JSON.parse(fs.readFileSync(file(key), "utf-8"));
+      } catch {
+        return null;
+      }
+    },
+    set(key, entry) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file(key), JSON.stringify(entry), "utf-8");
+    },
+  };
+}
+
+// Client configured from the env vars above; retries are logged with the label
+export function createScriptHttpClient(label, { userAgent = "agenda-bdx-scripts/1.0 (GitHub Actions)", ...options } = {}) {
+  return createHttpClient({
+    label,
+    retries: HTTP_RETRIES,
+    timeoutMs: HTTP_TIMEOUT_MS,
+    headers: { "User-Agent": userAgent, Accept: "application/json" },
+    cache: HTTP_CACHE_DIR ? createDiskCache(path.resolve(REPO_ROOT, HTTP_CACHE_DIR)) : null,
+    cacheTtlMs: HTTP_CACHE_DIR ? HTTP_CACHE_TTL_MS : 0,
+    onRetry: ({ url, attempt, retries, delayMs, reason }) =>
+      console.warn(`[http] ${label} retry ${attempt}/${retries} in ${Math.round(delayMs / 100) / 10}s: ${reason} (${url})`),
+    ...options,
+  });
+}
+
+// --- Bordeaux Metropole events fetch ---
+
+/**
+ * Raw met_agenda rows on during the next `windowDays` Paris days (today included), like the
+ * default range of the pages: multi-day events that started earlier and are still running
+ * count, unless `ongoing` is false (only events starting in the window).
+ * Deduplicated by uid, in firstdate_begin order.
+ */
+export async function fetchUpcomingRows({
+  windowDays = 15,
+  maxEvents = 2000,
+  ongoing = true,
+  select = SELECT_FIELDS,
+  userAgent = "agenda-bdx-scripts/1.0 (GitHub Actions)",
+} = {}) {
+  const api = createScriptHttpClient("Bordeaux API", { userAgent });
+  const range = dateRangeFor("", { upcomingDays: windowDays });
+  const where = ongoing ? overlapsRange(range) : startsWithin(range);
+
+  const out = [];
+  const seen = new Set();
+  let offset = 0;
+
+  while (out.length < maxEvents) {
+    const data = await api.getJson(buildApiUrl({ where, select, limit: PAGE_LIMIT, offset, base: API_BASE }));
+    const rows = data?.results || [];
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      const uid = String(row?.uid ?? "");
+      if (!uid || seen.has(uid)) continue;
+      seen.add(uid);
+      out.push(row);
+      if (out.length >= maxEvents) break;
+    }
+    offset += rows.length;
+
+    // Opendatasoft refuses offset + limit > 10000
+    if (rows.length < PAGE_LIMIT || offset + PAGE_LIMIT > 10000) break;
+  }
+
+  return out;
+}
+
+// --- Concurrency limiter ---
+export function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active += 1;
+    const { fn, resolve, reject } = queue.shift();
+    fn()
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
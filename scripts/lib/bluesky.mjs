@@ -0,0 +1,345 @@
+/**
+ * Bluesky (AT Protocol) posting helpers for post-event.mjs and post-queue.mjs.
+ *
+ * Plain XRPC over fetch, so any PDS works, including a local stand-in for tests
+ * (PDSHOST=http://127.0.0.1:<port>). Images over the blob limit are shrunk by
+ * fitImage() (lib/images.mjs).
+ */
+
+import fs from "node:fs";
+
+import { downloadImage, fitImage } from "./images.mjs";
+
+export const POST_MAX_GRAPHEMES = 300;
+export const BLOB_MAX_BYTES = 1000000; // app.bsky.embed.images / external thumb limit
+const ALT_MAX_GRAPHEMES = 1000;
+const USER_AGENT = "agenda-bdx-bluesky/1.0";
+
+// --- Text ---
+const SEGMENTER = new Intl.Segmenter("fr", { granularity: "grapheme" });
+
+export function graphemeLength(text) {
+  return [...SEGMENTER.segment(String(text ?? ""))].length;
+}
+
+function truncateGraphemes(text, max) {
+  const parts = [...SEGMENTER.segment(String(text ?? ""))].map((s) => s.segment);
+  return parts.length <= max ? parts.join("") : parts.slice(0, max - 1).join("").trimEnd() + "…";
+}
+
+const utf8Length = (s) => Buffer.byteLength(s, "utf8");
+
+// "Concert de jazz — Rocher de Palmer (Cenon)", then the image credit if any
+// (imageAttribution().text: "…(Cenon). Photo : Jean Dupont, CC BY-SA 4.0 (Openverse)")
+export function buildAltText({ title, venue, place, credit = "" }) {
+  const where = [venue, place && place !== venue ? `(${place})` : ""].filter(Boolean).join(" ");
+  const alt = [String(title || "").trim(), where].filter(Boolean).join(" — ");
+  return withImageCredit(alt || "Affiche de l'événement", credit);
+}
+
+// The credit goes last and survives the truncation: CC BY / BY-SA images must name their author
+export function withImageCredit(alt, credit = "") {
+  const text = String(alt ?? "").trim();
+  const suffix = String(credit ?? "").trim();
+  if (!suffix || text.includes(suffix)) return truncateGraphemes(text, ALT_MAX_GRAPHEMES);
+  const head = truncateGraphemes(text, Math.max(ALT_MAX_GRAPHEMES - graphemeLength(suffix) - 2, 1));
+  const sep = !head ? "" : (/[.!?…]$/u.test(head) ? " " : ". ");
+  return truncateGraphemes(`${head}${sep}${suffix}`, ALT_MAX_GRAPHEMES);
+}
+
+// Trailing punctuation belongs to the sentence, not to the URL / tag
+function trimTrailing(s) {
+  let out = s.replace(/[.,;:!?'"»]+$/u, "");
+  // Keep ")" only when it closes a "(" of the URL itself (Wikipedia-style links)
+  if (out.endsWith(")") && !out.includes("(")) out = out.slice(0, -1);
+  return out;
+}
+
+// Byte offsets of text[charStart, charEnd), measured on the text itself: the facet value may be
+// spelled differently (a fullwidth "＃" is 3 bytes, a handle is lowercased)
+function facetAt(text, charStart, charEnd, feature) {
+  const byteStart = utf8Length(text.slice(0, charStart));
+  return {
+    index: { byteStart, byteEnd: byteStart + utf8Length(text.slice(charStart, charEnd)) },
+    features: [feature],
+  };
+}
+
+/**
+ * Rich-text facets (byte offsets into the UTF-8 text) for URLs, #hashtags and @mentions.
+ *
+ * `link` = { uri, text } also turns the last standalone occurrence of `text` ("ici")
+ * into a link. `resolveHandle(handle) -> did | null`; unresolved mentions stay plain text.
+ */
+export async function detectFacets(text, { link = null, resolveHandle = null } = {}) {
+  const facets = [];
+
+  for (const m of text.matchAll(/(^|[\s(])(https?:\/\/[^\s<>"]+)/gu)) {
+    const uri = trimTrailing(m[2]);
+    const start = m.index + m[1].length;
+    facets.push(facetAt(text, start, start + uri.length, { $type: "app.bsky.richtext.facet#link", uri }));
+  }
+
+  for (const m of text.matchAll(/(^|\s)([#＃])([^\s#＃]+)/gu)) {
+    const tag = trimTrailing(m[3]);
+    // Bluesky ignores all-digit tags ("#1") and caps them at 64 graphemes
+    if (!tag || /^\d+$/.test(tag) || graphemeLength(tag) > 64) continue;
+    const start = m.index + m[1].length;
+    facets.push(facetAt(text, start, start + m[2].length + tag.length, { $type: "app.bsky.richtext.facet#tag", tag }));
+  }
+
+  for (const m of text.matchAll(/(^|[\s(])@([a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)+)/gu)) {
+    const spelled = trimTrailing(m[2]);
+    const handle = spelled.toLowerCase();
+    const did = resolveHandle ? await resolveHandle(handle) : null;
+    if (!did) continue;
+    const start = m.index + m[1].length;
+    facets.push(facetAt(text, start, start + 1 + spelled.length, { $type: "app.bsky.richtext.facet#mention", did }));
+  }
+
+  if (link?.uri && link?.text) {
+    const escaped = link.text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const matches = [...text.matchAll(new RegExp(`(^|[\\s(])(${escaped})(?=$|[\\s.,;:!?)])`, "gu"))];
+    const last = matches.at(-1);
+    if (last) {
+      const start = last.index + last[1].length;
+      facets.push(facetAt(text, start, start + link.text.length, { $type: "app.bsky.richtext.facet#link", uri: link.uri }));
+    }
+  }
+
+  // Facets may not overlap: keep the first one found at each position
+  facets.sort((a, b) => a.index.byteStart - b.index.byteStart);
+  return facets.filter((f, i) => i === 0 || f.index.byteStart >= facets[i - 1].index.byteEnd);
+}
+
+// --- Link card (app.bsky.embed.external) ---
+function decodeEntities(s) {
+  return String(s || "")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0*39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&amp;/g, "&");
+}
+
+// og:title / og:description / og:image of the linked page (events/<uid>.html carries them)
+export async function fetchOpenGraph(url) {
+  try {
+    const res = await fetch(url, { headers: { "User-Agent": USER_AGENT, Accept: "text/html" } });
+    if (!res.ok) return {};
+    const html = await res.text();
+    const og = {};
+    for (const m of html.matchAll(/<meta\s+[^>]*>/gi)) {
+      const prop = m[0].match(/(?:property|name)="([^"]+)"/i)?.[1];
+      const content = m[0].match(/content="([^"]*)"/i)?.[1];
+      if (prop?.startsWith("og:") && content != null && !(prop.slice(3) in og)) og[prop.slice(3)] = decodeEntities(content);
+    }
+    return og;
+  } catch {
+    return {};
+  }
+}
+
+// --- XRPC session ---
+/**
+ * Session on a PDS: createSession once, refreshSession when the access token expires.
+ * With `sessionFile`, tokens are kept between runs (refreshed first, password only as a fallback).
+ */
+export function createBlueskyClient({ pdsHost, identifier, password, sessionFile = "" }) {
+  const base = String(pdsHost || "").replace(/\/+$/, "");
+  if (!base) throw new Error("Missing PDS host");
+  let session = null;
+
+  if (sessionFile) {
+    try {
+      session = JSON.parse(fs.readFileSync(sessionFile, "utf-8"));
+    } catch {
+      session = null;
+    }
+  }
+
+  function saveSession(data) {
+    session = { did: data.did, handle: data.handle, accessJwt: data.accessJwt, refreshJwt: data.refreshJwt };
+    if (sessionFile) fs.writeFileSync(sessionFile, JSON.stringify(session, null, 2) + "\n", { mode: 0o600 });
+    return session;
+  }
+
+  async function request(nsid, { method = "GET", query = null, body = undefined, headers = {}, token = "" } = {}) {
+    const url = new URL(`${base}/xrpc/${nsid}`);
+    for (const [k, v] of Object.entries(query || {})) url.searchParams.set(k, v);
+    const isJson = body !== undefined && !Buffer.isBuffer(body);
+    const res = await fetch(url.toString(), {
+      method,
+      headers: {
+        "User-Agent": USER_AGENT,
+        Accept: "application/json",
+        ...(isJson ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: isJson ? JSON.stringify(body) : body,
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = null;
+    }
+    if (!res.ok) {
+      const err = new Error(`${nsid} failed (${res.status}): ${data?.message || data?.error || text.slice(0, 200)}`);
+      err.status = res.status;
+      err.code = data?.error || "";
+      throw err;
+    }
+    return data;
+  }
+
+  async function login() {
+    if (!identifier || !password) throw new Error("Missing Bluesky identifier / app password");
+    return saveSession(await request("com.atproto.server.createSession", {
+      method: "POST",
+      body: { identifier, password },
+    }));
+  }
+
+  async function refresh() {
+    if (!session?.refreshJwt) return login();
+    try {
+      return saveSession(await request("com.atproto.server.refreshSession", {
+        method: "POST",
+        token: session.refreshJwt,
+      }));
+    } catch (e) {
+      // Refresh token expired or revoked: start over
+      if (e.status === 400 || e.status === 401) return login();
+      throw e;
+    }
+  }
+
+  const isExpired = (e) => e.code === "ExpiredToken" || e.code === "InvalidToken" || e.status === 401;
+
+  // Authenticated call; one refresh + retry when the access token has expired
+  async function call(nsid, options = {}) {
+    if (!session?.accessJwt) await login();
+    try {
+      return await request(nsid, { ...options, token: session.accessJwt });
+    } catch (e) {
+      if (!isExpired(e)) throw e;
+      await refresh();
+      return request(nsid, { ...options, token: session.accessJwt });
+    }
+  }
+
+  return {
+    pdsHost: base,
+    get session() { return session; },
+    login,
+    refresh,
+    call,
+
+    async resolveHandle(handle) {
+      try {
+        const data = await request("com.atproto.identity.resolveHandle", { query: { handle } });
+        return data?.did || null;
+      } catch {
+        return null;
+      }
+    },
+
+    async uploadBlob({ data, mimeType }) {
+      const res = await call("com.atproto.repo.uploadBlob", {
+        method: "POST",
+        body: data,
+        headers: { "Content-Type": mimeType },
+      });
+      if (!res?.blob) throw new Error("uploadBlob returned no blob");
+      return res.blob;
+    },
+
+    async createPost(record) {
+      if (!session?.did) await login();
+      return call("com.atproto.repo.createRecord", {
+        method: "POST",
+        body: { repo: session.did, collection: "app.bsky.feed.post", record },
+      });
+    },
+  };
+}
+
+// at://did:plc:xxx/app.bsky.feed.post/3k… -> https://bsky.app/profile/<handle>/post/3k…
+export function postWebUrl(uri, handle) {
+  const m = String(uri || "").match(/^at:\/\/([^/]+)\/app\.bsky\.feed\.post\/([^/]+)$/);
+  return m ? `https://bsky.app/profile/${handle || m[1]}/post/${m[2]}` : "";
+}
+
+// --- Post ---
+/**
+ * Build (and unless dryRun, publish) a post.
+ *
+ *   text       post text, <= 300 graphemes
+ *   link       { uri, text }: `text` in the post becomes a link to `uri`
+ *   imageUrl   attached image (or link card thumbnail with card=true)
+ *   alt        alt text of the image
+ *   card       embed app.bsky.embed.external for link.uri instead of the image
+ *   cardTitle, cardDescription   default to the page's og:title / og:description
+ *
+ * Returns { record, uri, cid, url }; in dry-run mode blobs are described but not uploaded.
+ */
+export async function publishPost(client, {
+  text, link = null, imageUrl = "", alt = "", card = false,
+  cardTitle = "", cardDescription = "", langs = ["fr"], dryRun = false,
+}) {
+  const length = graphemeLength(text);
+  if (!length) throw new Error("Empty post text");
+  if (length > POST_MAX_GRAPHEMES) {
+    throw new Error(`Post text is ${length} graphemes (limit ${POST_MAX_GRAPHEMES})`);
+  }
+
+  const facets = await detectFacets(text, {
+    link,
+    resolveHandle: (handle) => client.resolveHandle(handle),
+  });
+
+  async function blobFor(url) {
+    const { data, mimeType } = await downloadImage(url);
+    const image = await fitImage(data, mimeType, BLOB_MAX_BYTES);
+    if (dryRun) return { $type: "blob", ref: { $link: "(dry-run)" }, mimeType: image.mimeType, size: image.data.length };
+    return client.uploadBlob(image);
+  }
+
+  let embed;
+  if (card && link?.uri) {
+    const og = (!cardTitle || !cardDescription || !imageUrl) ? await fetchOpenGraph(link.uri) : {};
+    const thumbUrl = imageUrl || og.image || "";
+    embed = {
+      $type: "app.bsky.embed.external",
+      external: {
+        uri: link.uri,
+        title: cardTitle || og.title || "",
+        description: cardDescription || og.description || "",
+        ...(thumbUrl ? { thumb: await blobFor(thumbUrl) } : {}),
+      },
+    };
+  } else if (imageUrl) {
+    embed = {
+      $type: "app.bsky.embed.images",
+      images: [{ image: await blobFor(imageUrl), alt: alt || "" }],
+    };
+  }
+
+  const record = {
+    $type: "app.bsky.feed.post",
+    text,
+    createdAt: new Date().toISOString(),
+    langs,
+    ...(facets.length ? { facets } : {}),
+    ...(embed ? { embed } : {}),
+  };
+
+  if (dryRun) return { record, uri: "", cid: "", url: "" };
+
+  const { uri, cid } = await client.createPost(record);
+  return { record, uri, cid, url: postWebUrl(uri, client.session?.handle) };
+}
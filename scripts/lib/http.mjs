@@ -0,0 +1,179 @@
+/**
+ * fetch() with timeouts, retries and a response cache, for the datahub API and the
+ * image providers. No Node APIs here: index_enriched.html imports it too (with
+ * sessionStorageCache()); the scripts get a disk cache from agenda.mjs.
+ *
+ * Retried: network errors, timeouts, 429 and 5xx, with exponential backoff and jitter.
+ * A Retry-After header (seconds or HTTP date) replaces the backoff delay.
+ * Not retried: other 4xx, and requests cancelled through `signal`.
+ * Failed responses throw an Error with `status` set (0 when no response came back).
+ */
+
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+export function isAbortError(e) {
+  return e?.name === "AbortError";
+}
+
+function httpError(message, status = 0, body = "") {
+  const err = new Error(message);
+  err.status = status;
+  err.body = body;
+  return err;
+}
+
+function abortError(signal) {
+  return signal?.reason instanceof Error && isAbortError(signal.reason)
+    ? signal.reason
+    : Object.assign(new Error("Request cancelled"), { name: "AbortError" });
+}
+
+// Resolves after `ms`, rejects as soon as `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError(signal));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Retry-After in ms ("120" or an HTTP date), null when absent or unreadable
+export function retryAfterMs(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - now) : null;
+}
+
+/**
+ * { get(key), set(key, entry) } over sessionStorage, entries stored as JSON under `prefix`.
+ * Falls back to no cache when storage is unavailable or full.
+ */
+export function sessionStorageCache(prefix = "http:") {
+  const storage = (() => {
+    try {
+      return globalThis.sessionStorage || null;
+    } catch {
+      return null;
+    }
+  })();
+  return {
+    get(key) {
+      try {
+        return JSON.parse(storage?.getItem(prefix + key) || "null");
+      } catch {
+        return null;
+      }
+    },
+    set(key, entry) {
+      try {
+        storage?.setItem(prefix + key, JSON.stringify(entry));
+      } catch {
+        // Quota exceeded: the response is just not cached
+      }
+    },
+  };
+}
+
+/**
+ * createHttpClient({ label, retries, timeoutMs, backoffMs, maxBackoffMs, maxRetryAfterMs,
+ *                    headers, cache, cacheTtlMs, onRetry })
+ *
+ *   label            start of error messages ("Bordeaux API error 503: …")
+ *   cache            { get(key), set(key, { time, data }) }, sync or async; used when cacheTtlMs > 0.
+ *                    Keys are "json:<url>" / "text:<url>": the two readers never share an entry
+ *   onRetry          ({ url, attempt, retries, delayMs, reason }) => void, e.g. for logging
+ *
+ * getJson(url, { headers, signal, timeoutMs, cacheTtlMs }) and getText(…) resolve with the body
+ * of a 2xx response.
+ */
+export function createHttpClient({
+  label = "HTTP",
+  retries = 3,
+  timeoutMs = 15000,
+  backoffMs = 500,
+  maxBackoffMs = 30000,
+  maxRetryAfterMs = 120000,
+  headers = {},
+  cache = null,
+  cacheTtlMs = 0,
+  onRetry = null,
+} = {}) {
+  // One attempt: the timeout aborts this fetch only, `signal` cancels the whole request
+  async function attempt(url, init, signal, timeout) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(abortError(signal));
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    let timedOut = false;
+    const timer = timeout > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+      : null;
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (e) {
+      if (signal?.aborted) throw abortError(signal);
+      if (timedOut) throw httpError(`${label} timeout after ${timeout} ms`);
+      throw httpError(`${label} request failed: ${e?.message || e}`);
+    } finally {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  async function request(url, { headers: extra = {}, signal, timeoutMs: timeout = timeoutMs } = {}) {
+    const init = { headers: { ...headers, ...extra } };
+    for (let i = 0; ; i += 1) {
+      let res = null;
+      let err = null;
+      try {
+        res = await attempt(url, init, signal, timeout);
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        err = e; // network error or timeout
+      }
+      let delayMs = Math.round(Math.min(maxBackoffMs, backoffMs * 2 ** i) * (0.75 + Math.random() / 2));
+      if (res) {
+        if (res.ok) return res;
+        const body = await res.text().catch(() => "");
+        err = httpError(`${label} error ${res.status}: ${body.slice(0, 300)}`, res.status, body);
+        if (!RETRY_STATUSES.has(res.status)) throw err;
+        const wait = retryAfterMs(res.headers.get("retry-after"));
+        if (wait != null && wait > maxRetryAfterMs) throw err;
+        if (wait != null) delayMs = wait;
+      }
+      if (i >= retries) throw err;
+      onRetry?.({ url: String(url), attempt: i + 1, retries, delayMs, reason: err.message });
+      await sleep(delayMs, signal);
+    }
+  }
+
+  async function cached(kind, url, options, read) {
+    const ttl = options.cacheTtlMs ?? cacheTtlMs;
+    const key = `${kind}:${url}`;
+    if (cache && ttl > 0) {
+      const hit = await cache.get(key);
+      if (hit && Date.now() - hit.time < ttl) return hit.data;
+    }
+    const data = await read(await request(url, options));
+    if (cache && ttl > 0) await cache.set(key, { time: Date.now(), data });
+    return data;
+  }
+
+  return {
+    request,
+    getJson: (url, options = {}) => cached("json", url, options, (res) => res.json()),
+    getText: (url, options = {}) => cached("text", url, options, (res) => res.text()),
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * iCalendar (RFC 5545) export of normalized events, shared by the pages ("Ajouter au
+ * calendrier", "mes sorties") and build-ics.mjs (agenda.ics).
+ *
+ * Times are written in UTC so no VTIMEZONE is needed. Plain JavaScript only, like agenda-core.mjs.
+ */
+
+export const ICS_PRODID = "-//Agenda Alternatif Bordeaux//agenda-bdx//FR";
+const ICS_ENCODER = new TextEncoder();
+
+export function icsEscape(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+}
+
+// "20261024T180000Z", "" for a missing or invalid date
+export function icsDateTime(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Lines longer than 75 octets must be folded (CRLF + one space).
+export function foldIcsLine(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = ICS_ENCODER.encode(ch).length;
+    if (bytes + n > 75) {
+      out.push(cur);
+      cur = " ";
+      bytes = 1;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n");
+}
+
+/**
+ * VEVENT lines of one event ([] without uid or start). `url` is a link back to the
+ * agenda: added to the description and preferred to ev.externalUrl for URL.
+ */
+export function buildIcsEvent(ev, { url = "" } = {}) {
+  const uid = String(ev.uid ?? "").trim();
+  const start = icsDateTime(ev.start);
+  if (!uid || !start) return [];
+
+  // firstdate_end: end of the first occurrence, not of the whole run
+  const end = icsDateTime(ev.firstEnd);
+  const location = [ev.venue, ev.address].filter(Boolean).join(", ");
+  const description = [
+    ev.desc,
+    ev.dateLabel,
+    ev.conditions ? `Tarif : ${ev.conditions}` : "",
+    ev.externalUrl,
+    url
+  ].filter(Boolean).join("\n\n");
+
+  // DTSTAMP follows updatedat (not "now") so an unchanged dataset gives a byte-identical feed.
+  const modified = icsDateTime(ev.updatedAt);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}@agenda-bdx`,
+    `DTSTAMP:${modified || start}`,
+    `DTSTART:${start}`
+  ];
+  if (end && end > start) lines.push(`DTEND:${end}`);
+  if (modified) lines.push(`LAST-MODIFIED:${modified}`);
+  lines.push(`SUMMARY:${icsEscape(ev.title)}`);
+  if (description) lines.push(`DESCRIPTION:${icsEscape(description)}`);
+  if (location) lines.push(`LOCATION:${icsEscape(location)}`);
+  if (ev.coords) lines.push(`GEO:${ev.coords.lat};${ev.coords.lon}`);
+  if (ev.externalUrl || url) lines.push(`URL:${url || ev.externalUrl}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * A whole VCALENDAR, folded, CRLF line endings.
+ *   headers:  extra calendar properties ("X-WR-CALNAME:…")
+ *   eventUrl: ev => link back to the agenda for buildIcsEvent(), if any
+ */
+export function buildIcsCalendar(events, { headers = [], eventUrl = null } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICS_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...headers,
+    ...events.flatMap((ev) => buildIcsEvent(ev, { url: eventUrl ? eventUrl(ev) : "" })),
+    "END:VCALENDAR"
+  ];
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,156 @@
+/**
+ * Image download, shrinking and resizing for the posting scripts (Bluesky blobs, Mastodon
+ * media) and mirror-thumbs.mjs.
+ *
+ * Shrinking shells out to ImageMagick (`magick` or `convert`, preinstalled on GitHub's
+ * Ubuntu runners), or `sips` on macOS. Thumbnails (resizeImage) need ImageMagick.
+ */
+
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+const USER_AGENT = "agenda-bdx-posts/1.0";
+
+async function commandExists(cmd) {
+  try {
+    await execFileAsync(process.platform === "win32" ? "where" : "which", [cmd]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "magick" (ImageMagick 7), "convert" (6) or null; looked up once
+let imageMagickLookup = null;
+function imageMagick() {
+  imageMagickLookup ||= (async () => {
+    if (await commandExists("magick")) return "magick";
+    if (await commandExists("convert")) return "convert";
+    return null;
+  })();
+  return imageMagickLookup;
+}
+
+async function resizeCommand() {
+  const im = await imageMagick();
+  if (im) {
+    return (src, dst, px, quality) => [im, [src, "-auto-orient", "-strip", "-resize", `${px}x${px}>`, "-quality", String(quality), `jpeg:${dst}`]];
+  }
+  if (await commandExists("sips")) {
+    return (src, dst, px, quality) => ["sips", ["-Z", String(px), "-s", "format", "jpeg", "-s", "formatOptions", String(quality), src, "--out", dst]];
+  }
+  return null;
+}
+
+/**
+ * Re-encode as JPEG, smaller and smaller, until it fits in maxBytes.
+ * Returns { data, mimeType }; images already under the limit are returned as is.
+ */
+export async function fitImage(data, mimeType, maxBytes) {
+  if (data.length <= maxBytes) return { data, mimeType };
+
+  const command = await resizeCommand();
+  if (!command) {
+    throw new Error(`Image is ${data.length} bytes (limit ${maxBytes}) and neither ImageMagick nor sips is installed`);
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "post-image-"));
+  try {
+    const src = path.join(dir, "src");
+    const dst = path.join(dir, "out.jpg");
+    fs.writeFileSync(src, data);
+    for (const [px, quality] of [[2000, 85], [1600, 85], [1400, 80], [1200, 80], [1000, 75], [800, 70]]) {
+      const [cmd, args] = command(src, dst, px, quality);
+      await execFileAsync(cmd, args);
+      const out = fs.readFileSync(dst);
+      if (out.length <= maxBytes) return { data: out, mimeType: "image/jpeg" };
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  throw new Error(`Could not shrink the image under ${maxBytes} bytes`);
+}
+
+const RESIZE_FORMATS = { jpeg: "image/jpeg", webp: "image/webp" };
+
+/**
+ * Copy of the image at most `width` pixels wide (never enlarged), as `format` ("jpeg" or "webp").
+ * Returns { data, mimeType, width, height }; throws when ImageMagick is missing or fails.
+ */
+export async function resizeImage(data, { width, format = "jpeg", quality = 80 }) {
+  const mimeType = RESIZE_FORMATS[format];
+  if (!mimeType) throw new Error(`Unsupported thumbnail format: ${format}`);
+  const im = await imageMagick();
+  if (!im) throw new Error("ImageMagick is not installed");
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "thumb-"));
+  try {
+    const src = path.join(dir, "src");
+    const dst = path.join(dir, `out.${format}`);
+    fs.writeFileSync(src, data);
+    // [0]: first frame only, for animated GIF / WebP sources
+    await execFileAsync(im, [`${src}[0]`, "-auto-orient", "-strip", "-resize", `${width}x>`, "-quality", String(quality), `${format}:${dst}`]);
+    const out = fs.readFileSync(dst);
+    const size = imageSize(out);
+    if (!size) throw new Error(`ImageMagick wrote no readable ${format}`);
+    return { data: out, mimeType, width: size.width, height: size.height };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// --- Image dimensions from the file header ---
+function jpegSize(buf) {
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) { i += 1; continue; }
+    const marker = buf[i + 1];
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { i += 2; continue; }
+    const len = buf.readUInt16BE(i + 2);
+    // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5), format: "jpeg" };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+// { width, height, format } read from the first bytes of a JPEG, PNG, GIF or WebP file, else null
+export function imageSize(buf) {
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20), format: "png" };
+  }
+  if (buf.length >= 10 && buf.toString("ascii", 0, 3) === "GIF") {
+    return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8), format: "gif" };
+  }
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    return jpegSize(buf);
+  }
+  if (buf.length >= 30 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+    const chunk = buf.toString("ascii", 12, 16);
+    if (chunk === "VP8X") {
+      return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3), format: "webp" };
+    }
+    if (chunk === "VP8L") {
+      const bits = buf.readUInt32LE(21);
+      return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff), format: "webp" };
+    }
+    if (chunk === "VP8 ") {
+      return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff, format: "webp" };
+    }
+  }
+  return null;
+}
+
+export async function downloadImage(url) {
+  const res = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+  if (!res.ok) throw new Error(`Image download failed (${res.status}): ${url}`);
+  const mimeType = (res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+  if (!mimeType.startsWith("image/")) throw new Error(`Not an image (${mimeType || "no content-type"}): ${url}`);
+  return { data: Buffer.from(await res.arrayBuffer()), mimeType };
+}
@@ -0,0 +1,147 @@
+/**
+ * Mastodon posting helpers for post-event.mjs and post-queue.mjs.
+ *
+ * REST API with an access token (Préférences > Développement, scopes write:media
+ * and write:statuses). MASTODON_INSTANCE may point at a local mock for tests
+ * (http://127.0.0.1:<port>).
+ */
+
+import { downloadImage, fitImage } from "./images.mjs";
+
+export const STATUS_MAX_CHARS = 500;
+const URL_CHARS = 23; // Mastodon counts every URL as 23 characters, whatever its length
+const MEDIA_MAX_BYTES = 16 * 1024 * 1024; // default image limit of a Mastodon 4 instance
+const DESCRIPTION_MAX_CHARS = 1500;
+const MEDIA_POLL_TRIES = 10;
+const USER_AGENT = "agenda-bdx-mastodon/1.0";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// --- Text ---
+// Length as the instance counts it: URLs are 23 characters, @user@domain only counts "@user"
+export function statusLength(text) {
+  const counted = String(text ?? "")
+    .replace(/(^|[\s(])https?:\/\/[^\s<>"]+/gu, (m, pre) => pre + "x".repeat(URL_CHARS))
+    .replace(/(^|\s)(@[a-zA-Z0-9_]+)@[a-zA-Z0-9.-]+/gu, "$1$2");
+  return [...counted].length;
+}
+
+/**
+ * Mastodon has no link facets: the URL goes after the text ("… Pour plus d'informations, ici. https://…"),
+ * like buildPostTextWithUrl() in admin_post.html.
+ */
+export function statusText(text, link = "") {
+  return link ? `${String(text).trimEnd()} ${link}` : String(text);
+}
+
+// --- API ---
+// `mediaPollMs`: wait between two checks of a media still being processed
+export function createMastodonClient({ instance, token, mediaPollMs = 1000 }) {
+  const base = String(instance || "").replace(/\/+$/, "");
+
+  async function request(apiPath, { method = "GET", body = undefined, headers = {} } = {}) {
+    if (!base) throw new Error("Missing Mastodon instance URL");
+    if (!token) throw new Error("Missing Mastodon access token");
+    const isForm = body instanceof FormData;
+    const res = await fetch(`${base}${apiPath}`, {
+      method,
+      headers: {
+        "User-Agent": USER_AGENT,
+        Accept: "application/json",
+        Authorization: `Bearer ${token}`,
+        ...(body !== undefined && !isForm ? { "Content-Type": "application/json" } : {}),
+        ...headers,
+      },
+      body: body === undefined || isForm ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = null;
+    }
+    if (!res.ok) {
+      const err = new Error(`${method} ${apiPath} failed (${res.status}): ${data?.error || text.slice(0, 200)}`);
+      err.status = res.status;
+      throw err;
+    }
+    return { status: res.status, data };
+  }
+
+  return {
+    instance: base,
+
+    // Images are processed asynchronously: the upload answers 202 and GET /media/:id 206 while
+    // it is not ready yet; poll until it has a URL. A status attached to a media still being
+    // processed goes out without its image (or is refused), so give up instead.
+    async uploadMedia({ data, mimeType }, description = "") {
+      const form = new FormData();
+      form.append("file", new Blob([data], { type: mimeType }), "image");
+      if (description) form.append("description", [...description].slice(0, DESCRIPTION_MAX_CHARS).join(""));
+      let { status, data: media } = await request("/api/v2/media", { method: "POST", body: form });
+      const id = media?.id;
+      if (!id) throw new Error("Media upload returned no id");
+      for (let i = 0; (status === 202 || status === 206) && !media?.url && i < MEDIA_POLL_TRIES; i += 1) {
+        await sleep(mediaPollMs);
+        ({ status, data: media } = await request(`/api/v1/media/${encodeURIComponent(id)}`));
+      }
+      if (!media?.url) throw new Error(`Media ${id} still processing after ${MEDIA_POLL_TRIES} checks`);
+      return media;
+    },
+
+    // The idempotency key makes a retried request return the first status instead of a duplicate
+    async postStatus(payload, idempotencyKey = "") {
+      const { data } = await request("/api/v1/statuses", {
+        method: "POST",
+        body: payload,
+        headers: idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {},
+      });
+      return data;
+    },
+  };
+}
+
+// --- Post ---
+/**
+ * Build (and unless dryRun, publish) a status.
+ *
+ *   text       post text ("ici" is not a link on Mastodon: `link` is appended as a URL)
+ *   link       event page URL
+ *   imageUrl   attached image, with `alt` as its description
+ *   idempotencyKey   e.g. "<uid>:J-1", so a retry never posts twice
+ *
+ * Returns { status, id, uri, url }; in dry-run mode the media is described but not uploaded.
+ */
+export async function publishStatus(client, {
+  text, link = "", imageUrl = "", alt = "", language = "fr",
+  visibility = "public", idempotencyKey = "", dryRun = false,
+}) {
+  const status = statusText(text, link);
+  const length = statusLength(status);
+  if (!String(text || "").trim()) throw new Error("Empty post text");
+  if (length > STATUS_MAX_CHARS) {
+    throw new Error(`Status is ${length} characters (limit ${STATUS_MAX_CHARS})`);
+  }
+
+  let media = null;
+  if (imageUrl) {
+    const { data, mimeType } = await downloadImage(imageUrl);
+    const image = await fitImage(data, mimeType, MEDIA_MAX_BYTES);
+    media = dryRun
+      ? { id: "(dry-run)", type: "image", mimeType: image.mimeType, size: image.data.length, description: alt }
+      : await client.uploadMedia(image, alt);
+  }
+
+  const payload = {
+    status,
+    language,
+    visibility,
+    ...(media ? { media_ids: [media.id] } : {}),
+  };
+
+  if (dryRun) return { status: { ...payload, ...(media ? { media: [media] } : {}) }, id: "", uri: "", url: "" };
+
+  const posted = await client.postStatus(payload, idempotencyKey);
+  return { status: payload, id: posted?.id || "", uri: posted?.uri || "", url: posted?.url || "" };
+}
@@ -0,0 +1,162 @@
+/**
+ * Social post wording, the Bluesky / Mastodon targets and the posting log,
+ * shared by post-event.mjs and post-queue.mjs.
+ *
+ * buildPostText() keeps the sentence of buildPostText() in admin_post.html, so posts
+ * sent by the queue read like the ones copied from the admin page.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { ASSETS_DIR, parisYmd } from "./agenda.mjs";
+import { createBlueskyClient, graphemeLength, publishPost } from "./bluesky.mjs";
+import { createMastodonClient, publishStatus } from "./mastodon.mjs";
+
+export const POSTED_LOG_PATH = path.join(ASSETS_DIR, "posted.json");
+
+// Calendar days between today and the event, counted in Paris time
+export function daysUntil(startIso, today = parisYmd()) {
+  if (!startIso) return 0;
+  const start = new Date(startIso);
+  if (Number.isNaN(start.getTime())) return 0;
+  const diff = Math.round((Date.parse(parisYmd(start)) - Date.parse(today)) / (24 * 60 * 60 * 1000));
+  return Math.max(0, diff);
+}
+
+/**
+ * "C'est demain ! <title> a <venue · district>. Pour plus d'informations, ici."
+ * The title is shortened when the sentence would not fit in maxGraphemes.
+ */
+export function buildPostText(ev, { days = daysUntil(ev.start), maxGraphemes = 300 } = {}) {
+  const where = [ev.venue, ev.district || ev.city].filter(Boolean).join(" · ");
+  const when = (days === 0)
+    ? "C'est aujourd'hui !"
+    : (days === 1 ? "C'est demain !" : `C'est dans ${days} jours !`);
+  const sentence = (title) => `${when} ${title} a ${where}. Pour plus d'informations, ici.`;
+
+  const title = String(ev.title || "").trim();
+  const text = sentence(title);
+  const over = graphemeLength(text) - maxGraphemes;
+  if (over <= 0) return text;
+
+  const segments = [...new Intl.Segmenter("fr", { granularity: "grapheme" }).segment(title)].map((s) => s.segment);
+  return sentence(segments.slice(0, Math.max(1, segments.length - over - 1)).join("").trimEnd() + "…");
+}
+
+// --- Networks ---
+export const NETWORKS = ["bluesky", "mastodon"];
+
+// "bluesky,mastodon" / "both" -> ["bluesky", "mastodon"]
+export function parseNetworks(value) {
+  const names = String(value || "bluesky").toLowerCase().split(",").map((s) => s.trim()).filter(Boolean);
+  const list = names.includes("both") ? NETWORKS : names;
+  for (const name of list) {
+    if (!NETWORKS.includes(name)) throw new Error(`Unknown network "${name}" (known: ${NETWORKS.join(", ")}, both)`);
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Client for one network, configured from the environment:
+ *   bluesky:  PDSHOST (default https://bsky.social), BS_HANDLE, BS_APP_PASSWORD, BS_SESSION_FILE
+ *   mastodon: MASTODON_INSTANCE (e.g. https://piaille.fr), MASTODON_TOKEN
+ */
+export function createClientFromEnv(network, env = process.env) {
+  if (network === "mastodon") {
+    return createMastodonClient({
+      instance: (env.MASTODON_INSTANCE || "").trim(),
+      token: (env.MASTODON_TOKEN || "").trim(),
+    });
+  }
+  return createBlueskyClient({
+    pdsHost: (env.PDSHOST || "https://bsky.social").trim(),
+    identifier: (env.BS_HANDLE || "").trim(),
+    password: (env.BS_APP_PASSWORD || "").trim(),
+    sessionFile: (env.BS_SESSION_FILE || "").trim(),
+  });
+}
+
+// Error to report before any network call, or "" when the network is configured
+export function missingCredentials(network, env = process.env) {
+  if (network === "mastodon") {
+    return (env.MASTODON_INSTANCE && env.MASTODON_TOKEN) ? "" : "MASTODON_INSTANCE and MASTODON_TOKEN";
+  }
+  return ((env.BS_HANDLE && env.BS_APP_PASSWORD) || env.BS_SESSION_FILE) ? "" : "BS_HANDLE and BS_APP_PASSWORD (or BS_SESSION_FILE)";
+}
+
+/**
+ * One event post on one network. `post` = { text, link, linkText, imageUrl, alt, lang, card, … }.
+ * Returns { payload, uri, url }: the Bluesky record or the Mastodon status, and where it went.
+ */
+export async function publishTo(network, client, post, { dryRun = false, idempotencyKey = "" } = {}) {
+  if (network === "mastodon") {
+    const { status, uri, url } = await publishStatus(client, {
+      text: post.text,
+      link: post.link,
+      imageUrl: post.imageUrl,
+      alt: post.alt,
+      language: post.lang || "fr",
+      idempotencyKey,
+      dryRun,
+    });
+    return { payload: status, uri, url };
+  }
+  const { record, uri, url } = await publishPost(client, {
+    text: post.text,
+    link: post.link ? { uri: post.link, text: post.linkText || "ici" } : null,
+    imageUrl: post.imageUrl,
+    alt: post.alt,
+    card: post.card,
+    cardTitle: post.cardTitle,
+    cardDescription: post.cardDescription,
+    langs: [post.lang || "fr"],
+    dryRun,
+  });
+  return { payload: record, uri, url };
+}
+
+// --- Posting log ---
+/**
+ * assets/posted.json, per event, network and reminder ("J-7", "J-1", "manual"):
+ *   { "<uid>": { "bluesky": { "J-1": { uri, url, date, venue, category } }, "mastodon": { … } } }
+ * Nothing is posted twice to the same network for the same reminder.
+ */
+export function loadPostedLog(file = POSTED_LOG_PATH) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return {};
+  }
+  if (!data || typeof data !== "object") return {};
+  // Logs written before Mastodon support had the reminders right under the uid: all Bluesky posts
+  for (const [uid, byNetwork] of Object.entries(data)) {
+    if (byNetwork && typeof byNetwork === "object" && !Object.keys(byNetwork).some((k) => NETWORKS.includes(k))) {
+      data[uid] = { bluesky: byNetwork };
+    }
+  }
+  return data;
+}
+
+export function savePostedLog(log, file = POSTED_LOG_PATH) {
+  const sorted = Object.fromEntries(Object.keys(log).sort().map((k) => [k, log[k]]));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + "\n", "utf-8");
+}
+
+export function findPosted(log, uid, network, reminder) {
+  return log[uid]?.[network]?.[reminder] || null;
+}
+
+export function recordPosted(log, uid, network, reminder, entry) {
+  log[uid] = { ...log[uid], [network]: { ...log[uid]?.[network], [reminder]: entry } };
+  return log;
+}
+
+// Every logged post as a flat list: [{ uid, network, reminder, uri, url, date, venue, category }]
+export function postedEntries(log) {
+  return Object.entries(log).flatMap(([uid, byNetwork]) =>
+    Object.entries(byNetwork || {}).flatMap(([network, byReminder]) =>
+      Object.entries(byReminder || {}).map(([reminder, entry]) => ({ uid, network, reminder, ...entry }))));
+}
@@ -0,0 +1,70 @@
+/**
+ * Price parsing for `conditions_fr`, the free-text price field of the open data feed:
+ *   "Tarif plein 12 €, tarif réduit 8 €"  -> { min: 8, max: 12, reduced: true, … }
+ *   "Entrée libre sur réservation"        -> { free: true, reservation: true, … }
+ *   "Prix libre"                          -> { payWhatYouWant: true, … }
+ *
+ * Loaded by the pages too (through agenda-core.mjs): keep it free of Node APIs.
+ */
+
+// Never part of a time of day: "20h", "20h30", "20 h" are not amounts
+const AMOUNT = String.raw`(?<![\d.,h])(\d{1,4}(?:[.,]\d{1,2})?)(?![\d.,]|\s?h(?:\d|\b))`;
+const EURO = String.raw`(?:€|eur(?:os?)?\b)`;
+// "8 à 12 €", "8-12€", "8/12 €", "entre 8 et 12 euros": the first amount has no currency.
+// Not after "à" ("séance à 20 - 6 €" is an hour, then a price).
+const RANGE_RE = new RegExp(String.raw`(?<!\ba\s{1,3})${AMOUNT}\s*${EURO}?\s*(?:a|-|–|/|et)\s*${AMOUNT}\s*${EURO}`, "gu");
+// "12 €", "12,50€", "12 euros", "€12"
+const AMOUNT_RE = new RegExp(String.raw`${AMOUNT}\s*${EURO}|€\s*${AMOUNT}`, "gu");
+// Booking fees are not a price: "25 € - 1 € de frais", "(+ 1,80 € frais de location)"
+const FEES_RE = new RegExp(String.raw`\+?\s*${AMOUNT}\s*${EURO}\s*(?:de\s+)?frais\b(?:\s+de\s+(?:location|reservation|dossier|service|gestion))?`, "gu");
+
+// Matched against lowercase text without accents
+const FREE_RE = /\b(gratuit(e|s|es)?|entree libre|acces libre|entree gratuite|free)\b/;
+const PAY_WHAT_YOU_WANT_RE = /\b(prix libre|participation libre|libre participation|prix conscient|participation consciente|au chapeau|chapeau)\b/;
+const RESERVATION_RE = /\b(sur reservation|reservation (obligatoire|conseillee|recommandee|indispensable)|sur inscription|inscription (obligatoire|conseillee|requise))\b/;
+const REDUCED_RE = /\b(tarifs? reduits?|reduit|etudiants?|demandeurs? d['’]emploi|chomeurs?|minima sociaux|rsa|carte jeune|solidaire|enfants?|jeunes?|moins de \d{1,2} ?ans)\b|-\s?\d{1,2} ?ans\b/;
+const PAID_RE = /\bpayant(e|s|es)?\b/;
+
+function plain(text) {
+  return String(text ?? "").toLowerCase().normalize("NFD").replace(/\p{Diacritic}/gu, "");
+}
+
+const toNumber = (s) => Number(String(s).replace(",", "."));
+
+/**
+ * { min, max, free, payWhatYouWant, reduced, reservation, paid }
+ * min / max are the lowest and highest amounts in euros (null when none is given).
+ * `free` is only set when nothing has to be paid: "10 €, gratuit pour les -12 ans" is a
+ * 10 € event with a reduced rate.
+ */
+export function parsePrice(conditions) {
+  const text = plain(conditions).replace(FEES_RE, " ");
+  const amounts = [];
+  for (const m of text.matchAll(RANGE_RE)) amounts.push(toNumber(m[1]), toNumber(m[2]));
+  for (const m of text.matchAll(AMOUNT_RE)) amounts.push(toNumber(m[1] ?? m[2]));
+  const paidAmounts = amounts.filter((n) => Number.isFinite(n) && n > 0);
+
+  const freeMention = FREE_RE.test(text) || (amounts.length > 0 && paidAmounts.length === 0);
+  const free = freeMention && paidAmounts.length === 0;
+  return {
+    min: paidAmounts.length ? Math.min(...paidAmounts) : (free ? 0 : null),
+    max: paidAmounts.length ? Math.max(...paidAmounts) : (free ? 0 : null),
+    free,
+    payWhatYouWant: PAY_WHAT_YOU_WANT_RE.test(text),
+    reduced: REDUCED_RE.test(text) || (freeMention && !free),
+    reservation: RESERVATION_RE.test(text),
+    paid: paidAmounts.length > 0 || PAID_RE.test(text),
+  };
+}
+
+function formatEuros(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(2).replace(".", ",");
+}
+
+// "Gratuit", "Prix libre", "8 €", "dès 8 €", or "" when the text gives no price
+export function priceLabel(price) {
+  if (!price) return "";
+  if (price.free) return "Gratuit";
+  if (price.min == null) return price.payWhatYouWant ? "Prix libre" : "";
+  return price.max > price.min ? `dès ${formatEuros(price.min)} €` : `${formatEuros(price.min)} €`;
+}
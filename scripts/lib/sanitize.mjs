@@ -0,0 +1,148 @@
+/**
+ * HTML sanitizer for longdescription_fr, which is organiser-supplied HTML (the event modal
+ * of index.html and index_enriched.html).
+ *
+ * Allowlist: the tags below survive without any attribute, except href on links (http, https,
+ * mailto, tel only; opened with rel="noopener noreferrer"). Unknown tags are unwrapped (their
+ * text stays), SANITIZE_DROP ones go with their content; comments and doctypes go too.
+ *
+ * Plain JavaScript, no DOM: the input is tokenized and the output written from scratch, every
+ * text escaped and every tag taken from the allowlist. Reading the input differently from a
+ * browser can only change which text is kept, never let markup through.
+ */
+
+import { safeUrl } from "./agenda-core.mjs";
+
+export const SANITIZE_TAGS = new Set(["p", "br", "ul", "ol", "li", "a", "strong", "em", "u", "s", "blockquote", "h3", "h4", "h5", "h6"]);
+const SANITIZE_RENAME = { b: "strong", i: "em", h1: "h3", h2: "h3" };
+export const SANITIZE_DROP = new Set([
+  "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet", "noscript", "template",
+  "svg", "math", "form", "input", "button", "textarea", "select", "link", "meta", "base", "title", "head"
+]);
+
+// Elements without content or end tag
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "frame", "hr", "img", "input", "keygen", "link", "meta", "param", "source", "track", "wbr"
+]);
+// Their content is raw text up to the matching end tag ("<script>a </p> b</script>" is one text)
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title", "xmp", "iframe", "noembed", "noframes", "noscript"]);
+// A new one of these closes the previous one ("<p>a<p>b", "<li>a<li>b")
+const AUTO_CLOSE = new Set(["p", "li"]);
+
+// Comment, doctype / CDATA, processing instruction, start or end tag, a lone "<", plain text
+const TOKEN_RE = /<!--[\s\S]*?(?:-->|$)|<![^>]*>?|<\?[^>]*>?|<(\/?)([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<|[^<]+/g;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", colon: ":", sol: "/", tab: "\t", newline: "\n" };
+
+// Character references of an attribute value ("jav&#x61;script&colon;" is "javascript:")
+function decodeEntities(s) {
+  return s.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, (all, hex, dec, name) => {
+    if (name) return NAMED_ENTITIES[name.toLowerCase()] ?? all;
+    const code = hex ? parseInt(hex, 16) : parseInt(dec, 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "�";
+  });
+}
+
+// Text as written, with entities kept; a bare "&" and the angle brackets escaped
+function escapeText(s) {
+  return s.replace(/&(?!#?\w+;)/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeAttr(s) {
+  return s.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function hrefOf(attrs) {
+  for (const m of attrs.matchAll(ATTR_RE)) {
+    if (m[1].toLowerCase() === "href") return decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return "";
+}
+
+export function sanitizeHtml(html) {
+  const src = String(html ?? "");
+  let out = "";
+  // Open elements: { tag, kept } (kept = false for links unwrapped for want of a safe href)
+  const open = [];
+  const close = (i) => {
+    while (open.length > i) {
+      const { tag, kept } = open.pop();
+      if (kept) out += `</${tag}>`;
+    }
+  };
+  // Name and nesting depth of the SANITIZE_DROP element being skipped
+  let dropping = "";
+  let dropDepth = 0;
+
+  TOKEN_RE.lastIndex = 0;
+  for (let m; (m = TOKEN_RE.exec(src));) {
+    const [token, slash, rawName, attrs] = m;
+    if (!rawName) {
+      if (dropping || token.startsWith("<!") || token.startsWith("<?")) continue;
+      out += escapeText(token);
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    const isEnd = slash === "/";
+    const selfClosing = !isEnd && /\/\s*$/.test(attrs);
+
+    if (dropping) {
+      if (name !== dropping) continue;
+      if (isEnd) dropDepth -= 1;
+      else if (!selfClosing) dropDepth += 1;
+      if (dropDepth === 0) dropping = "";
+      continue;
+    }
+
+    if (!isEnd && RAW_TEXT_TAGS.has(name)) {
+      // Skip the raw text (and the end tag); without end tag, everything left
+      const endRe = new RegExp(`</${name}(?=[\\s/>])[^>]*>?`, "gi");
+      endRe.lastIndex = TOKEN_RE.lastIndex;
+      const end = endRe.exec(src);
+      TOKEN_RE.lastIndex = end ? endRe.lastIndex : src.length;
+      if (!SANITIZE_DROP.has(name)) out += escapeText(src.slice(m.index + token.length, end ? end.index : src.length));
+      continue;
+    }
+    if (name === "plaintext") break; // the rest of the document is text nobody asked for
+
+    if (SANITIZE_DROP.has(name)) {
+      // Foreign elements (svg, math) honour "/>"; end tags and void elements have nothing to skip
+      if (!isEnd && !VOID_TAGS.has(name) && !(selfClosing && (name === "svg" || name === "math"))) {
+        dropping = name;
+        dropDepth = 1;
+      }
+      continue;
+    }
+
+    const tag = SANITIZE_RENAME[name] || name;
+    if (!SANITIZE_TAGS.has(tag)) continue; // unwrapped: its content stays
+
+    if (isEnd) {
+      for (let i = open.length - 1; i >= 0; i -= 1) {
+        if (open[i].tag === tag) {
+          close(i);
+          break;
+        }
+      }
+      continue;
+    }
+    if (tag === "br") {
+      out += "<br>";
+      continue;
+    }
+    if (AUTO_CLOSE.has(tag) && open.at(-1)?.tag === tag) close(open.length - 1);
+
+    if (tag === "a") {
+      const href = safeUrl(hrefOf(attrs));
+      open.push({ tag, kept: Boolean(href) });
+      if (href) out += `<a href="${escapeAttr(href)}" target="_blank" rel="noopener noreferrer">`;
+      continue;
+    }
+    open.push({ tag, kept: true });
+    out += `<${tag}>`;
+  }
+  close(0);
+  return out;
+}
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Local thumbnails of the enriched event images (assets/thumbs/), so the pages stop
+ * hotlinking full-size pictures from googleusercontent, Openverse sources or bordeaux.fr.
+ *
+ * What it does:
+ *  - For every entry of assets/event-images.json without thumbnails, or whose `url`
+ *    changed since they were made: download the image and write resized copies in
+ *    THUMB_FORMATS at each of THUMB_WIDTHS (never enlarged), named after a hash of the URL
+ *  - Record them in the entry under "thumbs" (the pages build srcset / sizes from it):
+ *      "thumbs": {
+ *        "source": "https://...",           // the `url` they were made from
+ *        "width": 2400, "height": 1600,     // of the original
+ *        "variants": [{ "path": "assets/thumbs/….webp", "type": "image/webp", "width": 640, "height": 427 }, …]
+ *      }
+ *    url, credit, author, license and page_url are left alone: the attribution still
+ *    points at the original
+ *  - Delete the files of assets/thumbs/ that no entry uses anymore
+ *
+ * An image that cannot be downloaded or resized keeps no thumbnails: the pages show `url`
+ * as before. Resizing needs ImageMagick (see scripts/lib/images.mjs).
+ *
+ * Usage (local):
+ *   node scripts/mirror-thumbs.mjs
+ *
+ * Env vars (optional):
+ *   THUMB_WIDTHS=320,640,1280
+ *   THUMB_FORMATS=webp,jpeg   # WebP for the browsers that take it, JPEG for the others
+ *   THUMB_QUALITY=78
+ *   MAX_IMAGES=500            # downloads per run (the rest waits for the next run)
+ *   CONCURRENCY=2
+ *   IMAGE_MAP_PATH=assets/event-images.json
+ *   THUMBS_DIR=assets/thumbs
+ */
+
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { createLimiter } from "./lib/agenda.mjs";
+import { downloadImage, imageSize, resizeImage } from "./lib/images.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Config ---
+const ROOT = path.resolve(__dirname, "..");
+const IMAGE_MAP_PATH = path.resolve(ROOT, process.env.IMAGE_MAP_PATH || "assets/event-images.json");
+const THUMBS_DIR = path.resolve(ROOT, process.env.THUMBS_DIR || "assets/thumbs");
+
+const THUMB_WIDTHS = [...new Set((process.env.THUMB_WIDTHS || "320,640,1280")
+  .split(",")
+  .map((s) => parseInt(s.trim(), 10))
+  .filter((n) => Number.isFinite(n) && n > 0))]
+  .sort((a, b) => a - b);
+const THUMB_FORMATS = (process.env.THUMB_FORMATS || "webp,jpeg")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+const THUMB_QUALITY = parseInt(process.env.THUMB_QUALITY || "78", 10);
+const MAX_IMAGES = parseInt(process.env.MAX_IMAGES || "500", 10);
+const CONCURRENCY = parseInt(process.env.CONCURRENCY || "2", 10);
+
+const EXTENSIONS = { jpeg: "jpg", webp: "webp" };
+// <16 hex chars of sha1(url)>-<width>.<ext>: only these are ever deleted from THUMBS_DIR
+const THUMB_FILE_RE = /^[0-9a-f]{16}-\d+\.(jpg|webp)$/;
+
+// --- Small helpers ---
+function readJson(p) {
+  try {
+    const data = JSON.parse(fs.readFileSync(p, "utf-8"));
+    return data && typeof data === "object" ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+// Path as the pages load it (relative to the site root, "/" separators)
+function sitePath(file) {
+  return path.relative(ROOT, file).split(path.sep).join("/");
+}
+
+function hasThumbsFor(entry) {
+  const thumbs = entry?.thumbs;
+  return thumbs?.source === entry.url
+    && Array.isArray(thumbs.variants)
+    && thumbs.variants.length > 0
+    && thumbs.variants.every((v) => fs.existsSync(path.resolve(ROOT, String(v?.path || ""))));
+}
+
+// --- Thumbnails ---
+async function makeThumbs(url) {
+  const { data } = await downloadImage(url);
+  const original = imageSize(data);
+  const base = createHash("sha1").update(url).digest("hex").slice(0, 16);
+  const variants = [];
+  for (const format of THUMB_FORMATS) {
+    const widths = new Set();
+    for (const target of THUMB_WIDTHS) {
+      const width = original ? Math.min(target, original.width) : target;
+      if (widths.has(width)) continue; // small originals: one copy at their own width
+      widths.add(width);
+      const out = await resizeImage(data, { width, format, quality: THUMB_QUALITY });
+      const file = path.join(THUMBS_DIR, `${base}-${out.width}.${EXTENSIONS[format]}`);
+      fs.writeFileSync(file, out.data);
+      variants.push({ path: sitePath(file), type: out.mimeType, width: out.width, height: out.height });
+    }
+  }
+  return {
+    source: url,
+    width: original?.width || null,
+    height: original?.height || null,
+    variants,
+  };
+}
+
+// Files of THUMBS_DIR no entry refers to (images replaced or pruned from the map)
+function deleteOrphans(map) {
+  const used = new Set();
+  for (const entry of Object.values(map)) {
+    for (const v of entry?.thumbs?.variants || []) used.add(path.resolve(ROOT, String(v?.path || "")));
+  }
+  let deleted = 0;
+  for (const name of fs.readdirSync(THUMBS_DIR)) {
+    const file = path.join(THUMBS_DIR, name);
+    if (!THUMB_FILE_RE.test(name) || used.has(file)) continue;
+    fs.rmSync(file, { force: true });
+    deleted += 1;
+  }
+  return deleted;
+}
+
+async function main() {
+  const map = readJson(IMAGE_MAP_PATH);
+  fs.mkdirSync(THUMBS_DIR, { recursive: true });
+
+  const entries = Object.entries(map).filter(([, e]) => e && typeof e === "object" && typeof e.url === "string" && e.url);
+  const todo = entries.filter(([, e]) => !hasThumbsFor(e));
+  console.log(`[thumbs] ${entries.length} images, ${todo.length} without up-to-date thumbnails (widths ${THUMB_WIDTHS.join(", ")}; ${THUMB_FORMATS.join(", ")})`);
+
+  // Keys sharing an image (uid and slug records of older maps) share one download
+  const byUrl = new Map();
+  for (const [key, entry] of todo) {
+    if (!byUrl.has(entry.url)) byUrl.set(entry.url, []);
+    byUrl.get(entry.url).push(key);
+  }
+  const urls = [...byUrl.keys()].slice(0, MAX_IMAGES);
+  if (byUrl.size > urls.length) console.log(`[thumbs] MAX_IMAGES=${MAX_IMAGES}: ${byUrl.size - urls.length} left for the next run`);
+
+  const limiter = createLimiter(CONCURRENCY);
+  let made = 0;
+  let failed = 0;
+  await Promise.all(urls.map((url) => limiter(async () => {
+    const keys = byUrl.get(url);
+    try {
+      const thumbs = await makeThumbs(url);
+      for (const key of keys) map[key].thumbs = thumbs;
+      made += 1;
+      console.log(`[thumbs] + ${keys.join(", ")}: ${thumbs.variants.length} files`);
+    } catch (e) {
+      // Stale thumbnails of a previous image must not outlive it
+      for (const key of keys) delete map[key].thumbs;
+      failed += 1;
+      console.log(`[thumbs] ! ${keys.join(", ")}: ${e?.message || e}`);
+    }
+  })));
+
+  fs.writeFileSync(IMAGE_MAP_PATH, JSON.stringify(map, null, 2) + "\n", "utf-8");
+  const deleted = deleteOrphans(map);
+  console.log(`[thumbs] Wrote ${IMAGE_MAP_PATH} (${made} images mirrored, ${failed} failed, ${deleted} old files deleted)`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Publish one event post on Bluesky and/or Mastodon. The Node counterpart of bs_login.sh + bs_post.sh
+ * (curl, Bluesky only, image embed only), which stay for posting by hand.
+ *
+ * What it does:
+ *  - Bluesky: log in with an app password (or reuse / refresh the session kept in BS_SESSION_FILE),
+ *    shrink the image under the 1 MB blob limit (ImageMagick, or sips on macOS), compute the
+ *    facets (URLs, #hashtags, @mentions, and --link-text "ici" linking to --link), attach the image
+ *    with its alt text, or with --card a link card (app.bsky.embed.external) for --link
+ *  - Mastodon: upload the image with the alt text as description, post the text followed by
+ *    --link (500 characters, URLs counted as 23)
+ *  - With --uid, record the post in assets/posted.json (per network, reminder "manual")
+ *    and refuse to post the same event twice on a network (--force to post anyway)
+ *  - --dry-run prints what would be sent instead of posting (no login, no upload)
+ *
+ * Usage (local):
+ *   node scripts/post-event.mjs --to bluesky,mastodon --uid 123 \
+ *     --text "C'est demain ! … Pour plus d'informations, ici." \
+ *     --image https://…/affiche.jpg --link https://…/events/123.html \
+ *     --title "Concert" --venue "Rocher de Palmer" --place "Cenon" [--card] [--dry-run]
+ *
+ * Options:
+ *   --to=bluesky        bluesky, mastodon, or both (comma-separated)
+ *   --text              post text (required; <= 300 graphemes on Bluesky, 500 characters on Mastodon)
+ *   --image             image URL (the link card thumbnail with --card)
+ *   --link              URL behind --link-text on Bluesky, appended to the text on Mastodon
+ *   --link-text=ici     word of the text that becomes the link (last standalone occurrence)
+ *   --title, --venue, --place   used for the alt text
+ *   --alt               alt text, overrides the one built from --title / --venue
+ *   --credit            image credit appended to the alt text ("Photo : Jean Dupont, CC BY-SA 4.0 (Openverse)")
+ *   --card              Bluesky: link card instead of the image embed
+ *   --card-title, --card-description   default to the og: tags of --link
+ *   --uid               event uid, for the posting log
+ *   --force             post even if assets/posted.json says it was already posted there
+ *   --lang=fr
+ *   --dry-run
+ *
+ * Env vars:
+ *   PDSHOST=https://bsky.social   # any PDS, e.g. http://127.0.0.1:2583 for a local stand-in
+ *   BS_HANDLE, BS_APP_PASSWORD    # not needed with --dry-run
+ *   BS_SESSION_FILE               # optional: keep tokens between runs (written 0600)
+ *   MASTODON_INSTANCE             # e.g. https://piaille.fr, or a local mock
+ *   MASTODON_TOKEN                # access token with write:media and write:statuses
+ *   POSTED_PATH=assets/posted.json
+ *   DRY_RUN=1                     # same as --dry-run
+ */
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { parisYmd } from "./lib/agenda.mjs";
+import { buildAltText, withImageCredit } from "./lib/bluesky.mjs";
+import {
+  createClientFromEnv, findPosted, loadPostedLog, missingCredentials, parseNetworks, publishTo,
+  recordPosted, savePostedLog,
+} from "./lib/posts.mjs";
+import { normalizeText } from "./providers/text.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Config ---
+const POSTED_PATH = path.resolve(__dirname, "..", process.env.POSTED_PATH || "assets/posted.json");
+const MANUAL_REMINDER = "manual";
+
+const { values: opts } = parseArgs({
+  options: {
+    to: { type: "string", default: "bluesky" },
+    text: { type: "string" },
+    image: { type: "string", default: "" },
+    link: { type: "string", default: "" },
+    "link-text": { type: "string", default: "ici" },
+    title: { type: "string", default: "" },
+    venue: { type: "string", default: "" },
+    place: { type: "string", default: "" },
+    alt: { type: "string", default: "" },
+    credit: { type: "string", default: "" },
+    card: { type: "boolean", default: false },
+    "card-title": { type: "string", default: "" },
+    "card-description": { type: "string", default: "" },
+    uid: { type: "string", default: "" },
+    force: { type: "boolean", default: false },
+    lang: { type: "string", default: "fr" },
+    "dry-run": { type: "boolean", default: false },
+  },
+});
+
+const DRY_RUN = opts["dry-run"] || (process.env.DRY_RUN || "").trim() === "1";
+
+async function main() {
+  if (!opts.text) throw new Error("Missing --text (see the usage at the top of scripts/post-event.mjs)");
+  const networks = parseNetworks(opts.to);
+  if (!DRY_RUN) {
+    for (const network of networks) {
+      const missing = missingCredentials(network);
+      if (missing) throw new Error(`Missing env for ${network}: ${missing}`);
+    }
+  }
+
+  const postedLog = opts.uid ? loadPostedLog(POSTED_PATH) : {};
+  const post = {
+    text: opts.text,
+    link: opts.link,
+    linkText: opts["link-text"],
+    imageUrl: opts.image,
+    alt: withImageCredit(opts.alt || buildAltText({ title: opts.title, venue: opts.venue, place: opts.place }), opts.credit),
+    card: opts.card,
+    cardTitle: opts["card-title"],
+    cardDescription: opts["card-description"],
+    lang: opts.lang,
+  };
+
+  let failed = 0;
+  for (const network of networks) {
+    const previous = opts.uid ? findPosted(postedLog, opts.uid, network, MANUAL_REMINDER) : null;
+    if (previous && !opts.force) {
+      console.log(`[${network}] Already posted on ${previous.date}: ${previous.url || previous.uri} (--force to post again)`);
+      continue;
+    }
+
+    try {
+      const { payload, uri, url } = await publishTo(network, createClientFromEnv(network), post, {
+        dryRun: DRY_RUN,
+        idempotencyKey: opts.uid ? `${opts.uid}:${MANUAL_REMINDER}` : "",
+      });
+      if (DRY_RUN) {
+        console.log(`[${network}] Dry run, not posted:`);
+        console.log(JSON.stringify(payload, null, 2));
+        continue;
+      }
+      console.log(`[${network}] Posted ${url || uri}`);
+      if (opts.uid) {
+        recordPosted(postedLog, opts.uid, network, MANUAL_REMINDER, {
+          uri, url, date: parisYmd(), venue: normalizeText(opts.venue),
+        });
+        savePostedLog(postedLog, POSTED_PATH);
+      }
+    } catch (e) {
+      failed += 1;
+      console.error(`[${network}] Failed: ${e?.message || e}`);
+    }
+  }
+  if (failed) throw new Error(`${failed} network(s) failed`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Posting queue: pick today's events to announce on Bluesky / Mastodon and publish them.
+ *
+ * What it does:
+ *  - Fetch upcoming cultural events and resolve images like the front end
+ *  - Keep events starting in exactly one of REMINDERS days (J-7, J-1 by default)
+ *    that were not already posted for that reminder on one of the NETWORKS (assets/posted.json)
+ *  - Apply the rules, most urgent reminder first, events with an image first:
+ *      * at most MAX_POSTS posts per run
+ *      * one post per venue per (Paris) day
+ *      * per-category daily quotas (CATEGORY_QUOTAS)
+ *  - Post with the admin_post.html wording ("C'est demain ! … ici.") on each network still
+ *    missing it, and record each post in assets/posted.json (uid -> network -> reminder -> URI, URL, date)
+ *
+ * Usage (local):
+ *   DRY_RUN=1 node scripts/post-queue.mjs
+ *   BS_HANDLE=… BS_APP_PASSWORD=… SITE_URL=https://…/index_enriched.html node scripts/post-queue.mjs
+ *
+ * Env vars (optional):
+ *   NETWORKS=bluesky          # bluesky, mastodon, or both (comma-separated)
+ *   REMINDERS=7,1             # days before the event on which it may be posted
+ *   MAX_POSTS=4               # per run
+ *   CATEGORY_QUOTAS=concert:2,expo:1,theatre:1,festival:1,cinema:1,other:1   # per day
+ *   REQUIRE_IMAGE=1           # skip events with no image at all
+ *   SITE_URL=https://example.org/index_enriched.html   # link to events/<uid>.html (else the organiser's page)
+ *   DRY_RUN=1                 # print what would go out (and a summary in $GITHUB_STEP_SUMMARY)
+ *   POSTED_PATH=assets/posted.json
+ *   PDSHOST, BS_HANDLE, BS_APP_PASSWORD, BS_SESSION_FILE   # Bluesky, see scripts/post-event.mjs
+ *   MASTODON_INSTANCE, MASTODON_TOKEN                      # Mastodon
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  eventCategories, fetchUpcomingRows, imageAttribution, loadImageMaps, normalize, parisYmd, resolveImages,
+} from "./lib/agenda.mjs";
+import { buildAltText } from "./lib/bluesky.mjs";
+import {
+  NETWORKS as KNOWN_NETWORKS, buildPostText, createClientFromEnv, daysUntil, findPosted, loadPostedLog,
+  missingCredentials, parseNetworks, postedEntries, publishTo, recordPosted, savePostedLog,
+} from "./lib/posts.mjs";
+import { normalizeText } from "./providers/text.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Config ---
+const POSTED_PATH = path.resolve(__dirname, "..", process.env.POSTED_PATH || "assets/posted.json");
+
+const NETWORKS = parseNetworks(process.env.NETWORKS || "bluesky");
+const REMINDERS = (process.env.REMINDERS || "7,1")
+  .split(",")
+  .map((s) => parseInt(s.trim(), 10))
+  .filter((n) => Number.isFinite(n) && n >= 0)
+  .sort((a, b) => a - b);
+const MAX_POSTS = parseInt(process.env.MAX_POSTS || "4", 10);
+const CATEGORY_QUOTAS = Object.fromEntries(
+  (process.env.CATEGORY_QUOTAS || "concert:2,expo:1,theatre:1,festival:1,cinema:1,other:1")
+    .split(",")
+    .map((s) => s.split(":").map((x) => x.trim()))
+    .filter(([k, v]) => k && Number.isFinite(parseInt(v, 10)))
+    .map(([k, v]) => [k, parseInt(v, 10)])
+);
+const REQUIRE_IMAGE = (process.env.REQUIRE_IMAGE || "1").trim() === "1";
+const SITE_URL = (process.env.SITE_URL || "").trim();
+const DRY_RUN = (process.env.DRY_RUN || "").trim() === "1";
+
+// --- Small helpers ---
+const reminderLabel = (days) => `J-${days}`;
+
+// First matching category chip, "other" for events the page files under "Autre"
+function mainCategory(ev) {
+  return eventCategories(ev)[0] || "other";
+}
+
+// Static page from build-event-pages.mjs (link preview), else the organiser's page
+function eventLink(ev) {
+  if (SITE_URL) return new URL(`events/${encodeURIComponent(ev.uid)}.html`, SITE_URL).toString();
+  return ev.externalUrl || "";
+}
+
+/**
+ * Events to post this run, in posting order: [{ ev, days, reminder, category, networks, started }].
+ * `skipped` collects the reason for every candidate left out, for the dry-run output.
+ */
+function selectPosts(events, postedLog, today) {
+  // One announcement per event and reminder, whatever the number of networks it went to
+  const todays = [...new Map(postedEntries(postedLog)
+    .filter((p) => p.date === today)
+    .map((p) => [`${p.uid}|${p.reminder}`, p])).values()];
+  const venuesToday = new Set(todays.map((p) => p.venue).filter(Boolean));
+  const perCategory = {};
+  for (const p of todays) {
+    if (p.category) perCategory[p.category] = (perCategory[p.category] || 0) + 1;
+  }
+
+  const candidates = [];
+  for (const ev of events) {
+    const days = daysUntil(ev.start, today);
+    if (!REMINDERS.includes(days)) continue;
+    const reminder = reminderLabel(days);
+    const networks = NETWORKS.filter((n) => !findPosted(postedLog, ev.uid, n, reminder));
+    if (!networks.length) continue;
+    // Already out on another network: finish the job, the daily rules counted it then
+    const started = KNOWN_NETWORKS.some((n) => findPosted(postedLog, ev.uid, n, reminder));
+    candidates.push({ ev, days, reminder, category: mainCategory(ev), networks, started });
+  }
+  // Closest events first (J-1 before J-7), pictures first, then by start time
+  candidates.sort((a, b) =>
+    a.days - b.days
+    || Number(!a.ev.image) - Number(!b.ev.image)
+    || String(a.ev.start).localeCompare(String(b.ev.start)));
+
+  const selected = [];
+  const skipped = [];
+  for (const c of candidates) {
+    const venue = normalizeText(c.ev.venue);
+    const quota = CATEGORY_QUOTAS[c.category] ?? 0;
+    let reason = "";
+    if (c.started) {
+      selected.push(c);
+      continue;
+    }
+    if (selected.length >= MAX_POSTS) reason = `MAX_POSTS=${MAX_POSTS} reached`;
+    else if (REQUIRE_IMAGE && !c.ev.image) reason = "no image";
+    else if (venue && venuesToday.has(venue)) reason = "venue already posted today";
+    else if ((perCategory[c.category] || 0) >= quota) reason = `${c.category} quota (${quota}/day) reached`;
+
+    if (reason) {
+      skipped.push({ ...c, reason });
+      continue;
+    }
+    selected.push(c);
+    if (venue) venuesToday.add(venue);
+    perCategory[c.category] = (perCategory[c.category] || 0) + 1;
+  }
+  return { selected, skipped, candidates: candidates.length };
+}
+
+function writeStepSummary(lines) {
+  const file = process.env.GITHUB_STEP_SUMMARY;
+  if (file) fs.appendFileSync(file, lines.join("\n") + "\n", "utf-8");
+}
+
+function mdCell(s) {
+  return String(s ?? "").replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+async function main() {
+  const today = parisYmd();
+  const horizon = Math.max(...REMINDERS, 0) + 1;
+  console.log(`[queue] ${today}: reminders ${REMINDERS.map(reminderLabel).join(", ")} on ${NETWORKS.join(", ")}${DRY_RUN ? " (dry run)" : ""}`);
+  if (!DRY_RUN) {
+    for (const network of NETWORKS) {
+      const missing = missingCredentials(network);
+      if (missing) throw new Error(`Missing env for ${network}: ${missing}`);
+    }
+  }
+
+  // Reminders count the days to the start: events already running are not announced
+  const rows = await fetchUpcomingRows({
+    windowDays: horizon,
+    ongoing: false,
+    userAgent: "agenda-bdx-post-queue/1.0 (GitHub Actions)",
+  });
+  const maps = loadImageMaps();
+  const events = rows
+    .map((row) => resolveImages(normalize(row), maps))
+    .filter((ev) => ev.uid && ev.start);
+
+  const postedLog = loadPostedLog(POSTED_PATH);
+  const { selected, skipped, candidates } = selectPosts(events, postedLog, today);
+  console.log(`[queue] ${events.length} events, ${candidates} due for a reminder, ${selected.length} selected`);
+  for (const s of skipped) console.log(`[queue] . ${s.ev.uid} ${s.reminder} skipped: ${s.reason}`);
+
+  const clients = Object.fromEntries(NETWORKS.map((n) => [n, DRY_RUN ? null : createClientFromEnv(n)]));
+
+  const summary = [
+    `### Posting queue ${today}${DRY_RUN ? " (dry run)" : ""}`,
+    "",
+    "| Reminder | Event | Venue | Category | Networks | Text |",
+    "|---|---|---|---|---|---|",
+  ];
+
+  let failed = 0;
+  for (const { ev, days, reminder, category, networks } of selected) {
+    const text = buildPostText(ev, { days });
+    const link = eventLink(ev);
+    summary.push(`| ${reminder} | ${mdCell(ev.title)} (${ev.uid}) | ${mdCell(ev.venue)} | ${category} | ${networks.join(", ")} | ${mdCell(text)} |`);
+
+    if (DRY_RUN) {
+      console.log(`[queue] ~ ${ev.uid} ${reminder} [${category}] -> ${networks.join(", ")}: ${text}`);
+      console.log(`[queue]     image: ${ev.image || "(none)"}; link: ${link || "(none)"}`);
+      continue;
+    }
+
+    const post = {
+      text,
+      link,
+      linkText: "ici",
+      imageUrl: ev.image,
+      alt: buildAltText({
+        title: ev.title, venue: ev.venue, place: ev.district || ev.city, credit: imageAttribution(ev)?.text,
+      }),
+    };
+    for (const network of networks) {
+      try {
+        const { uri, url } = await publishTo(network, clients[network], post, {
+          idempotencyKey: `${ev.uid}:${reminder}`,
+        });
+        recordPosted(postedLog, ev.uid, network, reminder, {
+          uri, url, date: today, venue: normalizeText(ev.venue), category,
+        });
+        // Saved after every post: a later failure must not lose the ones already out
+        savePostedLog(postedLog, POSTED_PATH);
+        console.log(`[queue] + ${ev.uid} ${reminder} ${network} -> ${url || uri}`);
+      } catch (e) {
+        failed += 1;
+        console.error(`[queue] ! ${ev.uid} ${reminder} ${network} failed: ${e?.message || e}`);
+      }
+    }
+  }
+
+  if (!selected.length) summary.push("| — | nothing to post | | | | |");
+  writeStepSummary(summary);
+
+  if (failed) throw new Error(`${failed} post(s) failed`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
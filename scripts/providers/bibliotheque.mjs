@@ -0,0 +1,251 @@
+/**
+ * Provider: for bibliothèques, the photo of the library on bordeaux.fr
+ * (library index page, then the library's own page).
+ *
+ * Env vars:
+ *   BORDEAUX_FR_TIMEOUT_MS=20000
+ *   BORDEAUX_FR_PROXY_PREFIX=…   # optional proxy fallback
+ *   DEBUG_LIBS=1
+ */
+
+import { createScriptHttpClient } from "../lib/agenda.mjs";
+import { normalizeText, overlapScore, stripHtml, tokens } from "./text.mjs";
+
+const BORDEAUX_LIBRARIES_INDEX = "https://bibliotheque.bordeaux.fr/pratique/les-bibliotheques";
+const BORDEAUX_FR_TIMEOUT_MS = parseInt(process.env.BORDEAUX_FR_TIMEOUT_MS || "20000", 10);
+const DEBUG_LIBS = (process.env.DEBUG_LIBS || "").trim() === "1";
+
+const http = createScriptHttpClient("bordeaux.fr", {
+  userAgent: "agenda-bdx-image-enricher/1.0 (GitHub Actions)",
+  timeoutMs: BORDEAUX_FR_TIMEOUT_MS,
+});
+
+// Optional proxy fallback (handy if bordeaux.fr rate-limits or is slow in CI)
+const BORDEAUX_FR_PROXY_PREFIX = (process.env.BORDEAUX_FR_PROXY_PREFIX || "").trim(); 
+// example value if you choose to use it: "https://r.jina.ai/https://"
+
+function isBibliotheque(row) {
+  const n = normalizeText(row?.location_name || "");
+  if (DEBUG_LIBS) {
+    console.log(`[libs] location_name="${row?.location_name || ""}" normalized="${n}"`);
+  }
+  return n.includes("bibliotheque"); // handles “bibliothèque” thanks to normalizeText()
+}
+
+function fetchText(url) {
+  return http.getText(url, {
+    headers: {
+      Accept: "text/html,*/*",
+      "Accept-Language": "fr-FR,fr;q=0.9,en;q=0.5",
+    },
+  });
+}
+
+function withOptionalProxy(url) {
+  if (!BORDEAUX_FR_PROXY_PREFIX) return url;
+  // expects a prefix that ends with "https://"
+  return BORDEAUX_FR_PROXY_PREFIX + url.replace(/^https?:\/\//, "");
+}
+
+function extractOgImage(html) {
+  const m =
+    html.match(/property=["']og:image:secure_url["'][^>]*content=["']([^"']+)["']/i) ||
+    html.match(/property=["']og:image:url["'][^>]*content=["']([^"']+)["']/i) ||
+    html.match(/property=["']og:image["'][^>]*content=["']([^"']+)["']/i) ||
+    html.match(/name=["']twitter:image["'][^>]*content=["']([^"']+)["']/i);
+  return m?.[1] || "";
+}
+
+// Very lightweight “link extraction” without adding cheerio:
+// tries to find anchors pointing to "/bibliotheque-...."
+function extractLibraryLinks(html) {
+  const out = [];
+  const re = /<a[^>]+href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const href = m[1];
+    const text = stripHtml(m[2]);
+    if (!href || !text) continue;
+
+    const hrefNorm = normalizeText(href);
+    const textNorm = normalizeText(text);
+    const looksLikeLibrary =
+      hrefNorm.includes("bibliotheque") ||
+      hrefNorm.includes("bibliotheque bordeaux fr") ||
+      textNorm.includes("bibliotheque");
+
+    if (!looksLikeLibrary) continue;
+    out.push({ href, text });
+  }
+  return out;
+}
+
+let librariesCache = null;
+
+async function loadLibrariesIndex() {
+  if (librariesCache) return librariesCache;
+
+  // try direct, then optional proxy
+  let html;
+  try {
+    html = await fetchText(BORDEAUX_LIBRARIES_INDEX);
+  } catch (e) {
+    if (!BORDEAUX_FR_PROXY_PREFIX) throw e;
+    html = await fetchText(withOptionalProxy(BORDEAUX_LIBRARIES_INDEX));
+  }
+
+  const links = extractLibraryLinks(html);
+  librariesCache = { links, html };
+  return librariesCache;
+}
+
+function extractAttr(tag, name) {
+  const re = new RegExp(`${name}=["']([^"']+)["']`, "i");
+  return tag.match(re)?.[1] || "";
+}
+
+function firstNonEmpty(values) {
+  for (const v of values) {
+    if (v) return v;
+  }
+  return "";
+}
+
+function extractTitleParam(url) {
+  return url.match(/[?&]title=([^&]+)/i)?.[1] || "";
+}
+
+function decodePlus(input) {
+  try {
+    return decodeURIComponent(String(input).replace(/\+/g, " "));
+  } catch {
+    return String(input);
+  }
+}
+
+function extractLibraryCardImage(html, libraryName) {
+  const target = normalizeText(libraryName);
+  if (!target) return "";
+  const re = /<img[^>]+>/gi;
+  let m;
+  let logged = 0;
+  while ((m = re.exec(html))) {
+    const tag = m[0];
+    const src = firstNonEmpty([
+      extractAttr(tag, "src"),
+      extractAttr(tag, "data-src"),
+      extractAttr(tag, "data-original"),
+      extractAttr(tag, "data-lazy"),
+    ]);
+    const srcset = extractAttr(tag, "srcset");
+    const srcsetUrl = srcset ? srcset.split(",")[0]?.trim().split(" ")[0] : "";
+    const urlForTitle = firstNonEmpty([src, srcsetUrl]);
+    if (!urlForTitle) continue;
+
+    const titleAttr = extractAttr(tag, "title");
+    const altAttr = extractAttr(tag, "alt");
+    const titleParam = extractTitleParam(urlForTitle);
+    const candidate = normalizeText(firstNonEmpty([titleAttr, altAttr, decodePlus(titleParam)]));
+    if (!candidate) continue;
+
+    if (DEBUG_LIBS && logged < 6) {
+      console.log(
+        `[libs] img title="${titleAttr}" alt="${altAttr}" candidate="${candidate}" src="${urlForTitle}"`
+      );
+      logged += 1;
+    }
+
+    if (candidate.includes(target) || target.includes(candidate)) {
+      if (DEBUG_LIBS) {
+        console.log(`[libs] matched "${libraryName}" with candidate "${candidate}"`);
+      }
+      return src;
+    }
+  }
+  if (DEBUG_LIBS) {
+    console.log(`[libs] no image match for "${libraryName}" (target="${target}")`);
+  }
+  return "";
+}
+
+async function pickBordeauxLibraryImage(row) {
+  const venue = row?.location_name || "";
+  const venueTokens = tokens(venue);
+
+  const { links, html } = await loadLibrariesIndex();
+
+  const best = links
+    .map((x) => ({ x, s: overlapScore(venueTokens, x.text) }))
+    .sort((a, b) => b.s - a.s)[0]?.x;
+
+  if (!best || !best.href) {
+    const fallbackImg = html ? extractLibraryCardImage(html, venue) : "";
+    if (!fallbackImg) return null;
+    const imgUrl = fallbackImg.startsWith("http")
+      ? fallbackImg
+      : new URL(fallbackImg, "https://bibliotheque.bordeaux.fr").toString();
+    return {
+      url: imgUrl,
+      provider: "Bibliotheque Bordeaux",
+      page_url: BORDEAUX_LIBRARIES_INDEX,
+      author: "",
+      license: "",
+      credit: "",
+      width: null,
+      height: null,
+      source_url: BORDEAUX_LIBRARIES_INDEX,
+    };
+  }
+
+  const pageUrl = best.href.startsWith("http")
+    ? best.href
+    : new URL(best.href, "https://www.bordeaux.fr").toString();
+
+  let pageHtml;
+  try {
+    pageHtml = await fetchText(pageUrl);
+  } catch (e) {
+    if (!BORDEAUX_FR_PROXY_PREFIX) return null;
+    pageHtml = await fetchText(withOptionalProxy(pageUrl));
+  }
+
+  let img = extractOgImage(pageHtml);
+  if (!img && html) {
+    img = extractLibraryCardImage(html, best.text);
+  }
+  if (!img) return null;
+
+  const imgUrl = img.startsWith("http")
+    ? img
+    : new URL(img, "https://bibliotheque.bordeaux.fr").toString();
+
+  return {
+    url: imgUrl,
+    provider: "Bibliotheque Bordeaux",
+    page_url: pageUrl,
+    author: "",
+    license: "",
+    credit: "",
+    width: null,
+    height: null,
+    source_url: pageUrl,
+  };
+}
+
+export default {
+  name: "bibliotheque",
+  // Depends only on the venue name
+  scope: "venue",
+  async find(row, ctx) {
+    if (!isBibliotheque(row)) {
+      ctx.note("not a bibliothèque");
+      return null;
+    }
+    const libImg = await pickBordeauxLibraryImage(row);
+    if (!libImg?.url) {
+      ctx.note("no photo found on bordeaux.fr");
+      return null;
+    }
+    return { ...libImg, why: `bordeaux.fr photo for "${row?.location_name || ""}" (${libImg.page_url})` };
+  },
+};
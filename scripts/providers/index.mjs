@@ -0,0 +1,40 @@
+/**
+ * Image providers used by enrich-images.mjs, tried in order until one returns an image.
+ *
+ * Each provider module default-exports:
+ *   {
+ *     name:  "openverse",               // used in IMAGE_PROVIDERS and in the logs
+ *     scope: "event" | "venue",         // "venue": the answer only depends on the venue query,
+ *                                       //  so enrich-images.mjs resolves it once per venue and run
+ *     find(row, ctx) -> Promise<mapping | null>
+ *   }
+ *
+ * `row` is the raw met_agenda record. `ctx` holds:
+ *   query, evTokens               // buildSearchQuery(row) and its tokens
+ *   minWidth, allowedLicenses     // MIN_WIDTH / ALLOWED_LICENSES
+ *   note(reason)                  // why the provider passed (printed when nothing matched)
+ *
+ * A mapping has the event-images.json fields (url, provider, page_url, author, license,
+ * credit, width, height, source_url) plus `why`, a one-line explanation for the run log.
+ */
+
+import bibliotheque from "./bibliotheque.mjs";
+import openagenda from "./openagenda.mjs";
+import openverse from "./openverse.mjs";
+import upstream from "./upstream.mjs";
+import wikimedia from "./wikimedia.mjs";
+
+export const PROVIDERS = { upstream, openagenda, bibliotheque, openverse, wikimedia };
+
+export const DEFAULT_PROVIDER_ORDER = ["upstream", "openagenda", "bibliotheque", "openverse", "wikimedia"];
+
+// "openverse,wikimedia" -> provider modules, in that order
+export function resolveProviders(names) {
+  return names.map((name) => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw new Error(`Unknown image provider "${name}" (known: ${Object.keys(PROVIDERS).join(", ")})`);
+    }
+    return provider;
+  });
+}
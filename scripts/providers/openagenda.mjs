@@ -0,0 +1,87 @@
+/**
+ * Provider: the "official" image of the event on OpenAgenda (needs OPENAGENDA_KEY).
+ *
+ * Env vars:
+ *   OPENAGENDA_KEY=…
+ */
+
+import { createScriptHttpClient } from "../lib/agenda.mjs";
+
+const OPENAGENDA_KEY = (process.env.OPENAGENDA_KEY || "").trim();
+
+const http = createScriptHttpClient("OpenAgenda", { userAgent: "agenda-bdx-image-enricher/1.0 (GitHub Actions)" });
+
+// null when OpenAgenda answers with an error (unknown event, private agenda, …),
+// after the retries for 429 / 5xx; network failures still throw
+async function getOpenAgendaJson(url, apiKey) {
+  try {
+    return await http.getJson(url, { headers: { key: apiKey } });
+  } catch (e) {
+    if (e?.status) return null;
+    throw e;
+  }
+}
+
+async function fetchOpenAgendaEvent({ agendaUID, eventUID, apiKey }) {
+  const url = `https://api.openagenda.com/v2/agendas/${agendaUID}/events/${eventUID}`;
+  const data = await getOpenAgendaJson(url, apiKey);
+  if (!data) return null;
+  return data.event || data; // selon la forme de réponse
+}
+
+// Si jamais l'UID n'est PAS le même entre Bordeaux et OpenAgenda,
+// OpenAgenda prévoit aussi une lecture “par identifiant externe” via /events/ext/... :contentReference[oaicite:4]{index=4}
+async function fetchOpenAgendaEventByExt({ agendaUID, extKey, extValue, apiKey }) {
+  const url = `https://api.openagenda.com/v2/agendas/${agendaUID}/events/ext/${extKey}/${extValue}`;
+  const data = await getOpenAgendaJson(url, apiKey);
+  if (!data) return null;
+  return data.event || data;
+}
+
+function pickOAImage(evt) {
+  // champs typiques côté OpenAgenda (image / thumbnail / originalImage + credits) :contentReference[oaicite:5]{index=5}
+  const url =
+    evt?.image ||
+    evt?.thumbnail ||
+    evt?.originalImage ||
+    evt?.location?.image ||
+    "";
+  const credit = evt?.imageCredits || evt?.location?.imageCredits || "";
+  return url ? { url, credit } : null;
+}
+
+export default {
+  name: "openagenda",
+  scope: "event",
+  async find(row, ctx) {
+    const agendaUID = String(row?.originagenda_uid || "").trim();
+    if (!OPENAGENDA_KEY) {
+      ctx.note("no OPENAGENDA_KEY");
+      return null;
+    }
+    if (!agendaUID) {
+      ctx.note("no originagenda_uid");
+      return null;
+    }
+
+    // tentative 1: supposer que row.uid == eventUID OpenAgenda
+    const eventUID = String(row?.uid || "").trim();
+    const oa = await fetchOpenAgendaEvent({ agendaUID, eventUID, apiKey: OPENAGENDA_KEY });
+
+    const oaImg = oa ? pickOAImage(oa) : null;
+    if (!oaImg?.url) {
+      ctx.note(oa ? "event has no image" : "event not found");
+      return null;
+    }
+    return {
+      url: oaImg.url,
+      provider: "OpenAgenda",
+      page_url: oa?.canonicalUrl || oa?.url || "",
+      author: "",
+      license: "",
+      credit: oaImg.credit || "",
+      source_url: oa?.canonicalUrl || oa?.url || "",
+      why: `image of OpenAgenda event ${agendaUID}/${eventUID}`,
+    };
+  },
+};
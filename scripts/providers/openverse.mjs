@@ -0,0 +1,109 @@
+/**
+ * Provider: best-scored openly licensed photo on Openverse for the venue query.
+ *
+ * Env vars:
+ *   OPENVERSE_PAGE_SIZE=20
+ */
+
+import { createScriptHttpClient } from "../lib/agenda.mjs";
+import { overlapScore } from "./text.mjs";
+
+const OPENVERSE_PAGE_SIZE = parseInt(process.env.OPENVERSE_PAGE_SIZE || "20", 10);
+
+// Anonymous Openverse requests are rate-limited: 429s are retried after Retry-After
+const http = createScriptHttpClient("Openverse", { userAgent: "agenda-bdx-image-enricher/1.0 (GitHub Actions)" });
+
+const PREFERRED_OPENVERSE_PROVIDERS = new Set([
+  "stocksnap",
+  "unsplash",
+  "pexels",
+]);
+
+async function openverseSearch(query, licenses) {
+  const url = new URL("https://api.openverse.org/v1/images/");
+  url.searchParams.set("q", query);
+  url.searchParams.set("page_size", String(Math.min(OPENVERSE_PAGE_SIZE, 20))); // unauth often limited to 20
+  // Filter to licenses you accept
+  // Openverse expects license codes separated by comma
+  url.searchParams.set("license", licenses.join(","));
+  // Commons has its own provider (wikimedia.mjs)
+  url.searchParams.set("excluded_source", "wikimedia");
+  url.searchParams.set("category", "photograph");
+  
+  const data = await http.getJson(url.toString());
+  return Array.isArray(data?.results) ? data.results : [];
+}
+
+export function scoreOpenverseResult(evTokens, r, minWidth) {
+  const title = r?.title || "";
+  const creator = r?.creator || r?.creator_name || "";
+  const tags = Array.isArray(r?.tags) ? r.tags.map((t) => t?.name || t).join(" ") : "";
+  const provider = (r?.provider || r?.source || "").toString().toLowerCase();
+
+  const width = r?.width || 0;
+  const height = r?.height || 0;
+
+  let score = 0;
+  score += overlapScore(evTokens, title) * 3;
+  score += overlapScore(evTokens, creator) * 1;
+  score += overlapScore(evTokens, tags) * 1;
+
+  if (width >= 2000 || height >= 2000) score += 4;
+  else if (width >= minWidth) score += 2;
+
+  if (PREFERRED_OPENVERSE_PROVIDERS.has(provider)) score += 4;
+
+  // Prefer results with clear attribution fields
+  if (creator) score += 1;
+  if (r?.license) score += 1;
+  if (r?.foreign_landing_url) score += 1;
+
+  return score;
+}
+
+function toMappingFromOpenverse(r) {
+  return {
+    url: r?.url || r?.thumbnail || "",
+    provider: r?.provider || "Openverse",
+    page_url: r?.foreign_landing_url || "",
+    author: r?.creator || r?.creator_name || "",
+    license: r?.license || "",
+    // "4.0" and the deed URL: the pages link the license (imageAttribution() in agenda-core.mjs)
+    license_version: r?.license_version || "",
+    license_url: r?.license_url || "",
+    // optional (nice to keep)
+    source_url: r?.source || "",
+    credit: [r?.creator || r?.creator_name, r?.license].filter(Boolean).join(" · "),
+    width: r?.width || null,
+    height: r?.height || null,
+  };
+}
+
+export default {
+  name: "openverse",
+  // Searches buildSearchQuery(row) only: same venue, same answer
+  scope: "venue",
+  async find(row, ctx) {
+    const results = await openverseSearch(ctx.query, ctx.allowedLicenses);
+    const ranked = results
+      .map((r) => ({ r, s: scoreOpenverseResult(ctx.evTokens, r, ctx.minWidth) }))
+      .sort((a, b) => b.s - a.s);
+    const best = ranked[0];
+    if (!best?.r) {
+      ctx.note("no result");
+      return null;
+    }
+
+    const mapped = toMappingFromOpenverse(best.r);
+    const width = best.r?.width || 0;
+    if (!mapped.url || (width && width < ctx.minWidth)) {
+      ctx.note(`best result (score ${best.s}) is ${width}px < ${ctx.minWidth}px`);
+      return null;
+    }
+    const runnerUp = ranked[1] ? `, runner-up ${ranked[1].s}` : "";
+    return {
+      ...mapped,
+      why: `score ${best.s} of ${ranked.length} results${runnerUp}; ${width || "?"}px from ${best.r?.provider || "?"}`,
+    };
+  },
+};
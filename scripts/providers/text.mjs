@@ -0,0 +1,33 @@
+/**
+ * Text helpers shared by the image providers (accent- and punctuation-insensitive matching).
+ */
+
+export function stripHtml(s) {
+  return String(s || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function normalizeText(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{Diacritic}/gu, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function tokens(s) {
+  const t = normalizeText(s).split(" ").filter(Boolean);
+  // remove very short tokens
+  return t.filter((x) => x.length >= 3);
+}
+
+export function overlapScore(aTokens, bText) {
+  const b = new Set(tokens(bText));
+  let score = 0;
+  for (const t of aTokens) if (b.has(t)) score += 1;
+  return score;
+}
@@ -0,0 +1,28 @@
+/**
+ * Provider: the image already on the met_agenda record (location_image).
+ * Normally absent, since only records without one are enriched, but a
+ * TARGET_UID run or a re-queued uid can still hit it.
+ */
+
+import { upstreamImageUrl } from "../lib/agenda-core.mjs";
+
+export default {
+  name: "upstream",
+  scope: "event",
+  async find(row) {
+    const url = upstreamImageUrl(row);
+    if (!url) return null;
+    return {
+      url,
+      provider: "Bordeaux Metropole (met_agenda)",
+      page_url: "",
+      author: "",
+      license: "",
+      credit: "",
+      width: null,
+      height: null,
+      source_url: "",
+      why: "location_image on the record",
+    };
+  },
+};
@@ -0,0 +1,121 @@
+/**
+ * Provider: best-scored photo on Wikimedia Commons for the venue query
+ * (MediaWiki search API, license read from the file's extmetadata).
+ *
+ * Env vars:
+ *   WIKIMEDIA_PAGE_SIZE=10
+ *   WIKIMEDIA_THUMB_WIDTH=1600   # larger originals are served through a thumbnail this wide
+ */
+
+import { createScriptHttpClient } from "../lib/agenda.mjs";
+import { overlapScore, stripHtml, tokens } from "./text.mjs";
+
+const COMMONS_API = "https://commons.wikimedia.org/w/api.php";
+const WIKIMEDIA_PAGE_SIZE = parseInt(process.env.WIKIMEDIA_PAGE_SIZE || "10", 10);
+const WIKIMEDIA_THUMB_WIDTH = parseInt(process.env.WIKIMEDIA_THUMB_WIDTH || "1600", 10);
+
+const http = createScriptHttpClient("Wikimedia Commons", { userAgent: "agenda-bdx-image-enricher/1.0 (GitHub Actions)" });
+
+async function commonsSearch(query) {
+  const url = new URL(COMMONS_API);
+  url.searchParams.set("action", "query");
+  url.searchParams.set("format", "json");
+  url.searchParams.set("formatversion", "2");
+  url.searchParams.set("generator", "search");
+  url.searchParams.set("gsrsearch", `${query} filetype:bitmap`);
+  url.searchParams.set("gsrnamespace", "6"); // File:
+  url.searchParams.set("gsrlimit", String(WIKIMEDIA_PAGE_SIZE));
+  url.searchParams.set("prop", "imageinfo");
+  url.searchParams.set("iiprop", "url|size|mime|extmetadata");
+  url.searchParams.set("iiurlwidth", String(WIKIMEDIA_THUMB_WIDTH));
+  url.searchParams.set("iiextmetadatafilter", "License|LicenseShortName|LicenseUrl|Artist|ImageDescription");
+
+  const data = await http.getJson(url.toString());
+  const pages = Array.isArray(data?.query?.pages) ? data.query.pages : [];
+  return pages
+    .map((p) => ({ title: p?.title || "", info: p?.imageinfo?.[0] }))
+    .filter((p) => p.info && /^image\/(jpeg|png|webp)$/i.test(p.info.mime || ""));
+}
+
+// Commons license ids ("cc-by-sa-4.0", "cc0", "pd", …) -> Openverse-style codes of ALLOWED_LICENSES
+function licenseCode(meta) {
+  const raw = String(meta?.License?.value || "").toLowerCase();
+  if (raw === "cc0") return "cc0";
+  if (raw.startsWith("pd")) return "pdm";
+  return raw.match(/^cc-(by(?:-nc)?(?:-sa|-nd)?)(?:-|$)/)?.[1] || "";
+}
+
+function scoreCommonsResult(evTokens, { title, info }, minWidth) {
+  const meta = info?.extmetadata || {};
+  const name = title.replace(/^File:/i, "").replace(/\.[a-z0-9]+$/i, "");
+  const width = info?.width || 0;
+  const height = info?.height || 0;
+
+  let score = 0;
+  score += overlapScore(evTokens, name) * 3;
+  score += overlapScore(evTokens, stripHtml(meta.ImageDescription?.value)) * 1;
+
+  if (width >= 2000 || height >= 2000) score += 4;
+  else if (width >= minWidth) score += 2;
+
+  if (meta.Artist?.value) score += 1;
+  return score;
+}
+
+function toMappingFromCommons({ info }) {
+  const meta = info?.extmetadata || {};
+  const author = stripHtml(meta.Artist?.value);
+  const license = meta.LicenseShortName?.value || "";
+  const useThumb = info.thumburl && info.width > WIKIMEDIA_THUMB_WIDTH;
+  return {
+    url: useThumb ? info.thumburl : info.url,
+    provider: "Wikimedia Commons",
+    page_url: info.descriptionurl || "",
+    author,
+    license,
+    license_url: meta.LicenseUrl?.value || "",
+    source_url: info.descriptionurl || "",
+    credit: [author, license].filter(Boolean).join(" · "),
+    width: (useThumb ? info.thumbwidth : info.width) || null,
+    height: (useThumb ? info.thumbheight : info.height) || null,
+  };
+}
+
+export default {
+  name: "wikimedia",
+  // Searches the venue only: same venue, same answer
+  scope: "venue",
+  async find(row, ctx) {
+    // Commons search is full-text: the long address query rarely matches, the venue name does
+    const venueQuery = [row?.location_name, row?.location_city].filter(Boolean).join(" ");
+    const query = venueQuery || ctx.query;
+    const results = (await commonsSearch(query))
+      .filter((r) => ctx.allowedLicenses.includes(licenseCode(r.info?.extmetadata)));
+    if (!results.length) {
+      ctx.note(`no openly licensed result for "${query}"`);
+      return null;
+    }
+
+    const queryTokens = tokens(query);
+    const ranked = results
+      .map((r) => ({ r, s: scoreCommonsResult(queryTokens, r, ctx.minWidth) }))
+      .sort((a, b) => b.s - a.s);
+    const best = ranked[0];
+    const width = best.r.info?.width || 0;
+    if (width < ctx.minWidth) {
+      ctx.note(`best result (score ${best.s}) is ${width}px < ${ctx.minWidth}px`);
+      return null;
+    }
+    // A title/description match is required: random photos of "Bordeaux" are worse than none
+    if (overlapScore(queryTokens, best.r.title) + overlapScore(queryTokens, stripHtml(best.r.info?.extmetadata?.ImageDescription?.value)) === 0) {
+      ctx.note(`best result "${best.r.title}" does not mention the venue`);
+      return null;
+    }
+
+    const runnerUp = ranked[1] ? `, runner-up ${ranked[1].s}` : "";
+    return {
+      ...toMappingFromCommons(best.r),
+      why: `score ${best.s} of ${ranked.length} results${runnerUp}; "${best.r.title}"`,
+    };
+  },
+};
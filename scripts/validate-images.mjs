@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * Check that the image URLs we rely on still resolve to real, large enough images.
+ *
+ * What it does:
+ *  - Collect URLs from assets/event-images.json, assets/manual-images.json and the
+ *    venue images of assets/venues.json
+ *  - HEAD each URL (status, content-type, size), then GET the first bytes to decode
+ *    the dimensions (JPEG, PNG, GIF, WebP)
+ *  - Flag dead URLs (network error, HTTP error, not an image) and undersized ones (< MIN_WIDTH)
+ *  - Re-queue the flagged uids in assets/enrich-state.json; the next enrich-images.mjs run
+ *    drops the bad entry and searches again
+ *  - Write reports/image-validation.json and reports/image-validation.md
+ *
+ * Usage (local):
+ *   node scripts/validate-images.mjs
+ *
+ * Env vars (optional):
+ *   MIN_WIDTH=600             # same meaning as in enrich-images.mjs
+ *   MIN_BYTES=2048            # smaller bodies are placeholders / error images
+ *   CONCURRENCY=4
+ *   TIMEOUT_MS=15000
+ *   REQUEUE=0                 # report only, leave enrich-state.json alone
+ *   CHECK_VENUES=0            # skip the venue registry images
+ *   IMAGE_MAP_PATH=assets/event-images.json
+ *   MANUAL_MAP_PATH=assets/manual-images.json
+ *   VENUES_PATH=assets/venues.json
+ *   STATE_PATH=assets/enrich-state.json
+ *   REPORT_DIR=reports
+ *
+ * To test against a local HTTP stand-in, point IMAGE_MAP_PATH / MANUAL_MAP_PATH at maps
+ * whose URLs are http://127.0.0.1:<port>/… and set CHECK_VENUES=0.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { createLimiter } from "./lib/agenda.mjs";
+import { imageSize } from "./lib/images.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// --- Config ---
+const ROOT = path.resolve(__dirname, "..");
+const IMAGE_MAP_PATH = path.resolve(ROOT, process.env.IMAGE_MAP_PATH || "assets/event-images.json");
+const MANUAL_MAP_PATH = path.resolve(ROOT, process.env.MANUAL_MAP_PATH || "assets/manual-images.json");
+const VENUES_PATH = path.resolve(ROOT, process.env.VENUES_PATH || "assets/venues.json");
+const STATE_PATH = path.resolve(ROOT, process.env.STATE_PATH || "assets/enrich-state.json");
+const REPORT_DIR = path.resolve(ROOT, process.env.REPORT_DIR || "reports");
+
+const MIN_WIDTH = parseInt(process.env.MIN_WIDTH || "600", 10);
+const MIN_BYTES = parseInt(process.env.MIN_BYTES || "2048", 10);
+const CONCURRENCY = parseInt(process.env.CONCURRENCY || "4", 10);
+const TIMEOUT_MS = parseInt(process.env.TIMEOUT_MS || "15000", 10);
+const REQUEUE = (process.env.REQUEUE || "1").trim() === "1";
+const CHECK_VENUES = (process.env.CHECK_VENUES || "1").trim() === "1";
+
+// Enough for JPEGs whose SOF marker sits after a large EXIF block
+const PROBE_BYTES = 256 * 1024;
+const USER_AGENT = "agenda-bdx-image-validator/1.0 (GitHub Actions)";
+
+// --- Small helpers ---
+function readJson(p) {
+  try {
+    const data = JSON.parse(fs.readFileSync(p, "utf-8"));
+    return data && typeof data === "object" ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function entryUrl(entry) {
+  if (typeof entry === "string") return entry;
+  return typeof entry?.url === "string" ? entry.url : "";
+}
+
+// Every (source, key, url) we serve; keys sharing a URL are fetched only once (see main()).
+function collectTargets() {
+  const targets = [];
+
+  for (const [key, entry] of Object.entries(readJson(IMAGE_MAP_PATH))) {
+    const url = entryUrl(entry);
+    if (url) targets.push({ source: "event-images", key, url });
+  }
+  for (const [key, entry] of Object.entries(readJson(MANUAL_MAP_PATH))) {
+    const url = entryUrl(entry);
+    if (url) targets.push({ source: "manual-images", key, url });
+  }
+  if (CHECK_VENUES) {
+    for (const [key, venue] of Object.entries(readJson(VENUES_PATH))) {
+      const url = entryUrl(venue?.image);
+      if (url) targets.push({ source: "venues", key, url });
+    }
+  }
+  return targets;
+}
+
+async function fetchWithTimeout(url, options = {}) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+  try {
+    return await fetch(url, {
+      ...options,
+      signal: ctrl.signal,
+      redirect: "follow",
+      headers: { "User-Agent": USER_AGENT, Accept: "image/*,*/*;q=0.5", ...(options.headers || {}) },
+    });
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// First `max` bytes of the body; the rest of the download is cancelled.
+async function readPrefix(res, max) {
+  if (!res.body) return Buffer.alloc(0);
+  const reader = res.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (total < max) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    total += value.length;
+  }
+  await reader.cancel().catch(() => {});
+  return Buffer.concat(chunks.map((c) => Buffer.from(c))).subarray(0, max);
+}
+
+// --- Checks ---
+async function checkUrl(url) {
+  const result = { url, status: null, content_type: "", bytes: null, width: null, height: null, format: "", problems: [] };
+
+  let head = null;
+  try {
+    head = await fetchWithTimeout(url, { method: "HEAD" });
+  } catch {
+    // Some hosts drop HEAD; the GET below decides
+  }
+  if (head?.ok) {
+    result.content_type = head.headers.get("content-type") || "";
+    const len = parseInt(head.headers.get("content-length") || "", 10);
+    if (Number.isFinite(len)) result.bytes = len;
+  }
+
+  let res;
+  try {
+    res = await fetchWithTimeout(url, { headers: { Range: `bytes=0-${PROBE_BYTES - 1}` } });
+  } catch (e) {
+    result.problems.push(`network error: ${e?.name === "AbortError" ? "timeout" : (e?.cause?.code || e?.cause?.message || e?.message || e)}`);
+    return result;
+  }
+
+  result.status = res.status;
+  if (!res.ok) {
+    await res.body?.cancel().catch(() => {});
+    result.problems.push(`HTTP ${res.status}`);
+    return result;
+  }
+
+  result.content_type = res.headers.get("content-type") || result.content_type;
+  const total = (res.headers.get("content-range") || "").match(/\/(\d+)$/)?.[1];
+  if (total) result.bytes = parseInt(total, 10);
+  else if (res.status === 200 && res.headers.get("content-length")) result.bytes = parseInt(res.headers.get("content-length"), 10);
+
+  const prefix = await readPrefix(res, PROBE_BYTES);
+  if (result.bytes == null && prefix.length < PROBE_BYTES) result.bytes = prefix.length;
+
+  const size = imageSize(prefix);
+  if (size) Object.assign(result, size);
+
+  if (!/^image\//i.test(result.content_type) && !size) {
+    result.problems.push(`not an image (${result.content_type || "no content-type"})`);
+    return result;
+  }
+  if (result.bytes != null && result.bytes < MIN_BYTES) result.problems.push(`too small (${result.bytes} bytes)`);
+  if (result.width != null && result.width < MIN_WIDTH) result.problems.push(`undersized (${result.width}px < ${MIN_WIDTH}px)`);
+  if (result.width == null) result.warning = "dimensions not decoded";
+  return result;
+}
+
+function isDead(check) {
+  return check.problems.some((p) => !p.startsWith("undersized"));
+}
+
+// --- Reports ---
+function buildMarkdown(report) {
+  const { totals } = report;
+  const lines = [
+    "# Image validation",
+    "",
+    `Generated ${report.generated_at} · MIN_WIDTH ${report.min_width}px · MIN_BYTES ${report.min_bytes}`,
+    "",
+    "| Checked | OK | Dead | Undersized | Size unknown | Re-queued |",
+    "|---:|---:|---:|---:|---:|---:|",
+    `| ${totals.checked} | ${totals.ok} | ${totals.dead} | ${totals.undersized} | ${totals.unknown_size} | ${totals.requeued} |`,
+    ""
+  ];
+  const flagged = report.items.filter((x) => x.problems.length);
+  if (!flagged.length) {
+    lines.push("No problems found.");
+  } else {
+    lines.push("| Source | Key | Problems | URL |", "|---|---|---|---|");
+    for (const x of flagged) {
+      const cell = (v) => String(v).replace(/\|/g, "\\|");
+      lines.push(`| ${x.source} | ${cell(x.key)} | ${cell(x.problems.join("; "))} | ${cell(x.url)} |`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const targets = collectTargets();
+  const urls = [...new Set(targets.map((t) => t.url))];
+  console.log(`[validate] Checking ${urls.length} URLs (${targets.length} entries)…`);
+
+  const limiter = createLimiter(CONCURRENCY);
+  const checks = new Map();
+  let done = 0;
+  await Promise.all(urls.map((url) => limiter(async () => {
+    const check = await checkUrl(url);
+    checks.set(url, check);
+    if (check.problems.length) console.log(`[validate] ! ${url} — ${check.problems.join("; ")}`);
+    done += 1;
+    if (done % 25 === 0) console.log(`[validate] Progress ${done}/${urls.length}`);
+  })));
+
+  const items = targets.map((t) => {
+    const { url: _url, ...check } = checks.get(t.url);
+    return { ...t, ...check };
+  });
+
+  // Only uids can be looked up again (slug keys from older maps go away with PRUNE=1).
+  // Venue registry images are reported only, and a hand-picked manual image is only
+  // replaced when it is dead, not when it is merely small.
+  const requeue = {};
+  for (const x of items) {
+    if (!x.problems.length || x.source === "venues" || !/^\d+$/.test(x.key)) continue;
+    if (x.source === "manual-images" && !isDead(x)) continue;
+    requeue[x.key] = { url: x.url, reason: x.problems.join("; ") };
+  }
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    min_width: MIN_WIDTH,
+    min_bytes: MIN_BYTES,
+    totals: {
+      checked: items.length,
+      ok: items.filter((x) => !x.problems.length).length,
+      dead: items.filter(isDead).length,
+      undersized: items.filter((x) => !isDead(x) && x.problems.length).length,
+      unknown_size: items.filter((x) => x.warning).length,
+      requeued: REQUEUE ? Object.keys(requeue).length : 0,
+    },
+    items,
+  };
+
+  fs.mkdirSync(REPORT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(REPORT_DIR, "image-validation.json"), JSON.stringify(report, null, 2) + "\n", "utf-8");
+  fs.writeFileSync(path.join(REPORT_DIR, "image-validation.md"), buildMarkdown(report), "utf-8");
+  console.log(`[validate] Wrote ${path.join(REPORT_DIR, "image-validation.{json,md}")}`);
+
+  if (REQUEUE && Object.keys(requeue).length) {
+    const state = readJson(STATE_PATH);
+    const next = { ...state, requeue: { ...(state.requeue || {}), ...requeue } };
+    fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
+    fs.writeFileSync(STATE_PATH, JSON.stringify(next, null, 2) + "\n", "utf-8");
+    console.log(`[validate] Re-queued ${Object.keys(requeue).length} uids in ${STATE_PATH}`);
+  }
+
+  const t = report.totals;
+  console.log(`[validate] ok=${t.ok} dead=${t.dead} undersized=${t.undersized} unknown_size=${t.unknown_size}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,240 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+
+import {
+  BORDEAUX_API_BASE, SELECT_FIELDS, andWhere, buildApiUrl, buildVenueRegistry, dateRangeFor, eventCategories,
+  indexImageMap, normalize, overlapsRange, resolveImages, runningAt, startsWithin,
+} from "../scripts/lib/agenda-core.mjs";
+
+// Recorded met_agenda rows: three v2.1 records (flat fields) and one in the older record.fields format
+const RECORDS = JSON.parse(fs.readFileSync(new URL("./fixtures/met_agenda-records.json", import.meta.url), "utf-8"));
+const IMAGE_MAP = JSON.parse(fs.readFileSync(new URL("./fixtures/event-images.json", import.meta.url), "utf-8"));
+
+const events = () => RECORDS.results.map(normalize);
+const byUid = (list, uid) => list.find((ev) => ev.uid === uid);
+
+describe("normalize", () => {
+  it("maps the v2.1 fields", () => {
+    const ev = byUid(events(), "48213907");
+    assert.equal(ev.title, "Soirée jazz au Rocher de Palmer");
+    assert.equal(ev.slug, "soiree-jazz-au-rocher-de-palmer");
+    assert.equal(ev.keywords, "jazz, concert, manouche");
+    assert.equal(ev.start, "2026-10-24T18:30:00+00:00");
+    assert.equal(ev.end, "2026-10-24T21:00:00+00:00");
+    assert.equal(ev.address, "1 rue Aristide Briand, 33150, Cenon");
+    assert.deepEqual(ev.coords, { lat: 44.8566, lon: -0.5312 });
+    assert.equal(ev.externalUrl, "https://lerocherdepalmer.fr/programmation/soiree-jazz");
+    assert.equal(ev.image, "");
+    assert.deepEqual([ev.price.min, ev.price.max, ev.isPaid, ev.isFree], [12, 18, true, false]);
+  });
+
+  it("reads the older record.fields format, [lat, lon] coordinates and image lists", () => {
+    const ev = byUid(events(), "55821440");
+    assert.equal(ev.title, "Festival des arts de la rue");
+    assert.equal(ev.city, "Bègles");
+    assert.deepEqual(ev.coords, { lat: 44.8052, lon: -0.5495 });
+    assert.equal(ev.image, "https://cibul.s3.amazonaws.com/festival-rue.jpg");
+    assert.equal(ev.isFree, true);
+  });
+
+  it("falls back on empty values for missing fields", () => {
+    const ev = byUid(events(), "30985521");
+    assert.equal(ev.longdesc, "");
+    assert.equal(ev.keywords, "");
+    assert.equal(ev.conditions, "");
+    assert.equal(ev.address, "Bordeaux");
+    assert.equal(ev.coords, null);
+    assert.equal(ev.externalUrl, "https://quartier-bastide.example/atelier");
+    assert.deepEqual([ev.isFree, ev.isPaid], [false, false]);
+  });
+
+  it("drops links with a scheme other than http(s), mailto and tel", () => {
+    const ev = byUid(events(), "71102284");
+    assert.equal(ev.externalUrl, "");
+  });
+
+  it("accepts an empty row", () => {
+    const ev = normalize(null);
+    assert.equal(ev.uid, "");
+    assert.equal(ev.title, "");
+    assert.equal(ev.start, null);
+  });
+});
+
+describe("eventCategories", () => {
+  it("matches title, description and keywords", () => {
+    const list = events();
+    assert.deepEqual(eventCategories(byUid(list, "48213907")), ["concert"]);
+    assert.deepEqual(eventCategories(byUid(list, "71102284")), ["expo"]);
+    assert.deepEqual(eventCategories(byUid(list, "55821440")), ["theatre", "festival"]);
+  });
+
+  it("returns [] for the events the pages file under « Autre »", () => {
+    assert.deepEqual(eventCategories(byUid(events(), "30985521")), []);
+  });
+});
+
+describe("indexImageMap", () => {
+  it("adds the aliases of an entry as keys", () => {
+    const map = indexImageMap(structuredClone(IMAGE_MAP));
+    assert.equal(map["soiree-jazz-au-rocher-de-palmer"], map["48213907"]);
+  });
+
+  it("never lets an alias replace an existing key", () => {
+    const map = indexImageMap({
+      a: { url: "https://a.jpg", aliases: ["b"] },
+      b: { url: "https://b.jpg" },
+    });
+    assert.equal(map.b.url, "https://b.jpg");
+  });
+
+  it("accepts the {items: [...]} format", () => {
+    const map = indexImageMap({ items: [{ uid: 42, url: "https://x.jpg", aliases: ["slug-42"] }, { url: "no uid" }] });
+    assert.deepEqual(Object.keys(map).sort(), ["42", "slug-42"]);
+  });
+
+  it("returns {} for anything else", () => {
+    assert.deepEqual(indexImageMap(null), {});
+  });
+});
+
+describe("resolveImages", () => {
+  const maps = () => ({
+    imageMap: indexImageMap(structuredClone(IMAGE_MAP)),
+    manualMap: {
+      "48213907": "https://manual.example/jazz.jpg",
+      "55821440": { url: "https://manual.example/festival.jpg" },
+      "99999999": "https://manual.example/unused.jpg",
+    },
+    venues: buildVenueRegistry({
+      "maison du quartier": {
+        name: "Maison du Quartier",
+        districts: ["Bastide"],
+        image: { url: "https://venue.example/maison.jpg", credit: "Google Maps" },
+        coordinates: { lat: 44.84, lon: -0.56 },
+      },
+    }),
+  });
+
+  it("keeps the image of the record first", () => {
+    const ev = resolveImages(byUid(events(), "71102284"), maps());
+    assert.equal(ev.image, "https://cibul.s3.amazonaws.com/event_paysages-d-estuaire.jpg");
+    assert.equal(ev.imageCredits, "© Bibliothèque de Bordeaux");
+    assert.equal(ev.imageEnriched, undefined);
+  });
+
+  it("then event-images.json, with its attribution, before manual-images.json", () => {
+    const ev = resolveImages(byUid(events(), "48213907"), maps());
+    assert.equal(ev.image, "https://live.staticflickr.com/65535/jazz-quartet.jpg");
+    assert.equal(ev.imageEnriched, true);
+    assert.equal(ev.imageAuthor, "Marie Laporte");
+    assert.equal(ev.imageLicense, "by-sa");
+    assert.equal(ev.imageSourceUrl, "https://www.flickr.com/photos/mlaporte/53102");
+    // The record has its own link: source_url does not replace it
+    assert.equal(ev.externalUrl, "https://lerocherdepalmer.fr/programmation/soiree-jazz");
+  });
+
+  it("finds event-images.json entries by slug and reads OpenAgenda image objects", () => {
+    const ev = resolveImages(byUid(events(), "30985521"), maps());
+    assert.equal(ev.image, "https://cdn.openagenda.com/main/atelier.full.jpg");
+  });
+
+  it("then manual-images.json, before the venue registry", () => {
+    const row = structuredClone(RECORDS.results[3]);
+    row.record.fields.location_image = null;
+    const ev = resolveImages(normalize(row), maps());
+    assert.equal(ev.image, "https://manual.example/festival.jpg");
+    assert.equal(ev.imageEnriched, undefined);
+  });
+
+  it("then the venue registry, which also fills coordinates", () => {
+    const row = { ...RECORDS.results[2], slug: "atelier-sans-image" };
+    const ev = resolveImages(normalize(row), maps());
+    assert.equal(ev.image, "https://venue.example/maison.jpg");
+    assert.equal(ev.imageCredits, "Google Maps");
+    assert.deepEqual(ev.coords, { lat: 44.84, lon: -0.56 });
+  });
+
+  it("works without any map", () => {
+    const ev = resolveImages(byUid(events(), "48213907"));
+    assert.equal(ev.image, "");
+  });
+});
+
+describe("queries", () => {
+  const range = { from: new Date("2026-10-18T22:00:00Z"), to: new Date("2026-10-25T23:00:00Z") };
+
+  it("startsWithin: firstdate_begin inside the range, `to` excluded", () => {
+    assert.equal(
+      startsWithin(range),
+      "(firstdate_begin >= date'2026-10-18T22:00:00Z') AND (firstdate_begin < date'2026-10-25T23:00:00Z')"
+    );
+  });
+
+  it("runningAt: started before, still running", () => {
+    assert.equal(
+      runningAt(range.from),
+      "(firstdate_begin < date'2026-10-18T22:00:00Z') AND (lastdate_end >= date'2026-10-18T22:00:00Z')"
+    );
+  });
+
+  it("overlapsRange: started before the end, still running at the start", () => {
+    assert.equal(
+      overlapsRange(range),
+      "(firstdate_begin < date'2026-10-25T23:00:00Z') AND (lastdate_end >= date'2026-10-18T22:00:00Z')"
+    );
+  });
+
+  it("andWhere skips empty clauses", () => {
+    assert.equal(andWhere("a = 1", "", null, "b = 2"), "a = 1 AND b = 2");
+    assert.equal(andWhere("", undefined), "");
+  });
+
+  it("buildApiUrl sets every parameter", () => {
+    const u = new URL(buildApiUrl({ where: startsWithin(range), limit: 24, offset: 48 }));
+    assert.equal(u.origin + u.pathname, BORDEAUX_API_BASE);
+    assert.equal(u.searchParams.get("select"), SELECT_FIELDS);
+    assert.match(u.searchParams.get("q"), /^\(concert OR expo/);
+    assert.equal(u.searchParams.get("where"), startsWithin(range));
+    assert.equal(u.searchParams.get("order_by"), "firstdate_begin asc");
+    assert.equal(u.searchParams.get("limit"), "24");
+    assert.equal(u.searchParams.get("offset"), "48");
+  });
+
+  it("buildApiUrl leaves out an empty q, where or order_by", () => {
+    const u = new URL(buildApiUrl({ q: "", orderBy: "", base: "http://127.0.0.1:8787/records" }));
+    assert.equal(u.origin + u.pathname, "http://127.0.0.1:8787/records");
+    assert.deepEqual([...u.searchParams.keys()], ["select", "limit", "offset"]);
+  });
+});
+
+describe("dateRangeFor", () => {
+  const iso = ({ from, to }) => [from.toISOString(), to.toISOString()];
+  // Thursday 22 October 2026, 15:00 in Paris; summer time ends on Sunday 25 October
+  const now = new Date("2026-10-22T13:00:00Z");
+
+  it("today and tonight, in Paris time", () => {
+    assert.deepEqual(iso(dateRangeFor("today", {}, now)), ["2026-10-21T22:00:00.000Z", "2026-10-22T22:00:00.000Z"]);
+    assert.deepEqual(iso(dateRangeFor("tonight", {}, now)), ["2026-10-22T16:00:00.000Z", "2026-10-22T22:00:00.000Z"]);
+  });
+
+  it("week-end and week end on Sunday night, across the switch to winter time", () => {
+    assert.deepEqual(iso(dateRangeFor("weekend", {}, now)), ["2026-10-23T16:00:00.000Z", "2026-10-25T23:00:00.000Z"]);
+    assert.deepEqual(iso(dateRangeFor("week", {}, now)), ["2026-10-21T22:00:00.000Z", "2026-10-25T23:00:00.000Z"]);
+  });
+
+  it("the week-end has already started on Sunday", () => {
+    const sunday = new Date("2026-10-25T10:00:00Z");
+    assert.deepEqual(iso(dateRangeFor("weekend", {}, sunday)), ["2026-10-24T22:00:00.000Z", "2026-10-25T23:00:00.000Z"]);
+  });
+
+  it("custom swaps reversed days and includes the last one", () => {
+    const range = dateRangeFor("custom", { from: "2026-11-02", to: "2026-10-30" }, now);
+    assert.deepEqual(iso(range), ["2026-10-29T23:00:00.000Z", "2026-11-02T23:00:00.000Z"]);
+  });
+
+  it("no preset: the next `upcomingDays` days", () => {
+    assert.deepEqual(iso(dateRangeFor("", { upcomingDays: 15 }, now)), ["2026-10-21T22:00:00.000Z", "2026-11-05T23:00:00.000Z"]);
+  });
+});
@@ -0,0 +1,245 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { beforeEach, describe, it } from "node:test";
+
+import { createBlueskyClient, detectFacets, publishPost } from "../scripts/lib/bluesky.mjs";
+import { localServer } from "./helpers/server.mjs";
+
+const DID = "did:plc:agendabdx";
+const HANDLE = "agenda-bdx.bsky.social";
+const POSTER = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(512, 7)]);
+
+/**
+ * PDS stand-in. Tokens are "access-<n>" / "refresh-<n>"; the ones in `expired` answer
+ * 400 ExpiredToken.
+ */
+let expired;
+let issued;
+
+function tokens() {
+  issued += 1;
+  return { did: DID, handle: HANDLE, accessJwt: `access-${issued}`, refreshJwt: `refresh-${issued}` };
+}
+
+function xrpc(req, body, send) {
+  const nsid = new URL(req.url, server.base).pathname.replace("/xrpc/", "");
+  const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+  if (token && expired.has(token)) return send(400, { error: "ExpiredToken", message: "Token has expired" });
+
+  switch (nsid) {
+    case "com.atproto.server.createSession": {
+      const { identifier, password } = JSON.parse(body);
+      if (identifier !== HANDLE || password !== "app-password") return send(401, { error: "AuthenticationRequired", message: "Invalid identifier or password" });
+      return send(200, tokens());
+    }
+    case "com.atproto.server.refreshSession":
+      if (!/^refresh-/.test(token)) return send(400, { error: "InvalidToken" });
+      return send(200, tokens());
+    case "com.atproto.identity.resolveHandle":
+      return new URL(req.url, server.base).searchParams.get("handle") === "rocherdepalmer.bsky.social"
+        ? send(200, { did: "did:plc:rocher" })
+        : send(400, { error: "InvalidRequest", message: "Unable to resolve handle" });
+    case "com.atproto.repo.uploadBlob":
+      if (!/^access-/.test(token)) return send(401, { error: "AuthMissing" });
+      return send(200, { blob: { $type: "blob", ref: { $link: "bafkreiposter" }, mimeType: req.headers["content-type"], size: body.length } });
+    case "com.atproto.repo.createRecord":
+      if (!/^access-/.test(token)) return send(401, { error: "AuthMissing" });
+      return send(200, { uri: `at://${DID}/app.bsky.feed.post/3kpost`, cid: "bafyreipost" });
+    default:
+      return send(501, { error: "MethodNotImplemented" });
+  }
+}
+
+const server = await localServer((req, res, body) => {
+  const path = new URL(req.url, server.base).pathname;
+  if (path === "/poster.png") {
+    res.writeHead(200, { "Content-Type": "image/png" });
+    return res.end(POSTER);
+  }
+  if (path === "/events/48213907.html") {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    return res.end(`<html><head>
+      <meta property="og:title" content="Soirée jazz au Rocher de Palmer">
+      <meta property="og:description" content="Django Memories &amp; invités">
+      <meta property="og:image" content="${server.base}/poster.png">
+    </head></html>`);
+  }
+  xrpc(req, body, (status, data) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+  });
+});
+
+beforeEach(() => {
+  server.requests = [];
+  expired = new Set();
+  issued = 0;
+});
+
+const client = (options = {}) => createBlueskyClient({ pdsHost: `${server.base}/`, identifier: HANDLE, password: "app-password", ...options });
+const auth = (r) => (r.headers.authorization || "").replace(/^Bearer /, "");
+const calls = () => server.requests.filter((r) => r.path.startsWith("/xrpc/")).map((r) => `${r.path.slice(6)} ${auth(r)}`.trim());
+const bodyOf = (nsid) => JSON.parse(server.requests.find((r) => r.path === `/xrpc/${nsid}`).body);
+
+describe("createBlueskyClient", () => {
+  it("logs in with createSession before the first call", async () => {
+    const bs = client();
+    await bs.createPost({ $type: "app.bsky.feed.post", text: "Bonjour", createdAt: "2026-10-18T10:00:00Z" });
+    assert.deepEqual(calls(), ["com.atproto.server.createSession", "com.atproto.repo.createRecord access-1"]);
+    assert.deepEqual(bodyOf("com.atproto.server.createSession"), { identifier: HANDLE, password: "app-password" });
+    assert.equal(bs.session.did, DID);
+  });
+
+  it("refreshes an expired access token with refreshSession, then retries once", async () => {
+    const bs = client();
+    await bs.login();
+    expired.add("access-1");
+    await bs.createPost({ $type: "app.bsky.feed.post", text: "Bonjour", createdAt: "2026-10-18T10:00:00Z" });
+    assert.deepEqual(calls(), [
+      "com.atproto.server.createSession",
+      "com.atproto.repo.createRecord access-1",
+      "com.atproto.server.refreshSession refresh-1",
+      "com.atproto.repo.createRecord access-2",
+    ]);
+    assert.equal(bs.session.refreshJwt, "refresh-2");
+  });
+
+  it("logs in again when the refresh token has expired too", async () => {
+    const bs = client();
+    await bs.login();
+    expired.add("access-1").add("refresh-1");
+    await bs.call("com.atproto.repo.createRecord", { method: "POST", body: {} });
+    assert.deepEqual(calls().slice(2), [
+      "com.atproto.server.refreshSession refresh-1",
+      "com.atproto.server.createSession",
+      "com.atproto.repo.createRecord access-2",
+    ]);
+  });
+
+  it("keeps the session in sessionFile between runs", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bluesky-"));
+    try {
+      const sessionFile = path.join(dir, "session.json");
+      await client({ sessionFile }).login();
+      assert.equal(fs.statSync(sessionFile).mode & 0o777, 0o600);
+
+      // Next run: no password needed while the saved token works
+      server.requests = [];
+      await client({ sessionFile, password: "" }).call("com.atproto.repo.createRecord", { method: "POST", body: {} });
+      assert.deepEqual(calls(), ["com.atproto.repo.createRecord access-1"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("surfaces XRPC errors with their status and code", async () => {
+    await assert.rejects(
+      client({ password: "wrong" }).login(),
+      (e) => e.status === 401 && e.code === "AuthenticationRequired" && /Invalid identifier or password/.test(e.message)
+    );
+  });
+});
+
+describe("detectFacets", () => {
+  const slice = (text, { index }) => Buffer.from(text).subarray(index.byteStart, index.byteEnd).toString();
+
+  it("counts UTF-8 bytes, not characters, before accented text", async () => {
+    const text = "Fête à Bègles #Été";
+    const [tag] = await detectFacets(text);
+    // 14 characters, 17 bytes before the tag; 4 characters, 6 bytes in it
+    assert.deepEqual(tag.index, { byteStart: 17, byteEnd: 23 });
+    assert.deepEqual(tag.features, [{ $type: "app.bsky.richtext.facet#tag", tag: "Été" }]);
+  });
+
+  it("spans the whole fullwidth ＃ of a tag, 3 bytes", async () => {
+    const text = "Fête ＃Été";
+    const [tag] = await detectFacets(text);
+    assert.deepEqual(tag.index, { byteStart: 6, byteEnd: 6 + 3 + 5 });
+    assert.equal(slice(text, tag), "＃Été");
+    assert.equal(tag.features[0].tag, "Été");
+  });
+
+  it("places links, tags, mentions and the `link` text after accents and emoji", async () => {
+    const text = "Soirée à l'Église 🎷 avec @rocherdepalmer.bsky.social #Jazz — programme : https://agenda.example/événement. Réservez ici.";
+    const bs = client();
+    const facets = await detectFacets(text, {
+      link: { uri: "https://agenda.example/e/48213907", text: "ici" },
+      resolveHandle: (handle) => bs.resolveHandle(handle),
+    });
+    assert.deepEqual(facets.map((f) => slice(text, f)), [
+      "@rocherdepalmer.bsky.social", "#Jazz", "https://agenda.example/événement", "ici",
+    ]);
+    assert.deepEqual(facets.map((f) => f.index.byteStart), [31, 59, 81, 127]);
+    assert.deepEqual(facets[0].features, [{ $type: "app.bsky.richtext.facet#mention", did: "did:plc:rocher" }]);
+    assert.equal(facets[3].features[0].uri, "https://agenda.example/e/48213907");
+  });
+
+  it("leaves unresolved mentions as plain text", async () => {
+    const bs = client();
+    const facets = await detectFacets("Avec @inconnu.example", { resolveHandle: (h) => bs.resolveHandle(h) });
+    assert.deepEqual(facets, []);
+  });
+});
+
+describe("publishPost", () => {
+  it("uploads the image with uploadBlob and embeds the blob in createRecord", async () => {
+    const bs = client();
+    const result = await publishPost(bs, {
+      text: "Ce soir : Soirée jazz au Rocher de Palmer. Infos ici",
+      link: { uri: "https://agenda.example/events/48213907.html", text: "ici" },
+      imageUrl: `${server.base}/poster.png`,
+      alt: "Soirée jazz — Rocher de Palmer (Cenon)",
+    });
+
+    const upload = server.requests.find((r) => r.path === "/xrpc/com.atproto.repo.uploadBlob");
+    assert.equal(upload.headers.authorization, "Bearer access-1");
+    assert.equal(upload.headers["content-type"], "image/png");
+    assert.deepEqual(upload.body, POSTER);
+
+    const { repo, collection, record } = bodyOf("com.atproto.repo.createRecord");
+    assert.equal(repo, DID);
+    assert.equal(collection, "app.bsky.feed.post");
+    assert.equal(record.$type, "app.bsky.feed.post");
+    assert.deepEqual(record.langs, ["fr"]);
+    assert.deepEqual(record.embed, {
+      $type: "app.bsky.embed.images",
+      images: [{
+        image: { $type: "blob", ref: { $link: "bafkreiposter" }, mimeType: "image/png", size: POSTER.length },
+        alt: "Soirée jazz — Rocher de Palmer (Cenon)",
+      }],
+    });
+    assert.deepEqual(record.facets, [{
+      index: { byteStart: 50, byteEnd: 53 },
+      features: [{ $type: "app.bsky.richtext.facet#link", uri: "https://agenda.example/events/48213907.html" }],
+    }]);
+
+    assert.equal(result.uri, `at://${DID}/app.bsky.feed.post/3kpost`);
+    assert.equal(result.url, `https://bsky.app/profile/${HANDLE}/post/3kpost`);
+  });
+
+  it("builds a link card from the page's Open Graph tags", async () => {
+    const uri = `${server.base}/events/48213907.html`;
+    await publishPost(client(), { text: "Ce soir au Rocher de Palmer", link: { uri, text: "" }, card: true });
+    const { record } = bodyOf("com.atproto.repo.createRecord");
+    assert.equal(record.embed.$type, "app.bsky.embed.external");
+    assert.equal(record.embed.external.uri, uri);
+    assert.equal(record.embed.external.title, "Soirée jazz au Rocher de Palmer");
+    assert.equal(record.embed.external.description, "Django Memories & invités");
+    assert.equal(record.embed.external.thumb.ref.$link, "bafkreiposter");
+  });
+
+  it("uploads and publishes nothing in dry-run mode", async () => {
+    const { record, uri } = await publishPost(client(), { text: "Test", imageUrl: `${server.base}/poster.png`, dryRun: true });
+    assert.equal(uri, "");
+    assert.equal(record.embed.images[0].image.ref.$link, "(dry-run)");
+    assert.deepEqual(calls(), []);
+  });
+
+  it("counts the 300 limit in graphemes", async () => {
+    await publishPost(client(), { text: "é".repeat(299) + "👩‍👩‍👧", dryRun: true });
+    await assert.rejects(publishPost(client(), { text: "é".repeat(301), dryRun: true }), /301 graphemes \(limit 300\)/);
+    await assert.rejects(publishPost(client(), { text: "", dryRun: true }), /Empty post text/);
+  });
+});
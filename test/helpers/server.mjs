@@ -0,0 +1,28 @@
+import http from "node:http";
+import { after } from "node:test";
+
+/**
+ * Local HTTP stand-in (an API, a PDS, an image host…) on a free port of 127.0.0.1, for
+ * `const server = await localServer(handle)` at the top of a test file; it closes after the
+ * file's tests. `handle(req, res, body)` gets the whole request body, and every request lands
+ * in `server.requests` as { method, path, headers, body } (assign a new array to reset it).
+ */
+export async function localServer(handle) {
+  const stub = { base: "", requests: [] };
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    stub.requests.push({ method: req.method, path: new URL(req.url, stub.base).pathname, headers: req.headers, body });
+    await handle(req, res, body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  stub.base = `http://127.0.0.1:${server.address().port}`;
+
+  after(() => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  return stub;
+}
@@ -0,0 +1,203 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { describe, it } from "node:test";
+
+import { createHttpClient, retryAfterMs } from "../scripts/lib/http.mjs";
+import { localServer } from "./helpers/server.mjs";
+
+/**
+ * Local stand-in for an API: each path answers with its list of responses in order, the last
+ * one repeating. A response is { status, headers, body, delayMs }; `hits` counts the requests.
+ */
+const routes = new Map();
+const hits = new Map();
+
+const server = await localServer((req, res) => {
+  const list = routes.get(req.url) || [{ status: 404, body: "no route" }];
+  const n = hits.get(req.url) ?? 0;
+  hits.set(req.url, n + 1);
+  const { status = 200, headers = {}, body = "", delayMs = 0 } = list[Math.min(n, list.length - 1)];
+  const send = () => {
+    if (res.destroyed) return;
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  };
+  if (delayMs) setTimeout(send, delayMs);
+  else send();
+});
+
+function route(path, ...responses) {
+  routes.set(path, responses);
+  hits.set(path, 0);
+  return `${server.base}${path}`;
+}
+
+// Client with short delays, retries recorded
+function client(options = {}) {
+  const retried = [];
+  const api = createHttpClient({
+    label: "Test API",
+    retries: 3,
+    timeoutMs: 2000,
+    backoffMs: 40,
+    onRetry: (info) => retried.push(info),
+    ...options,
+  });
+  return { api, retried };
+}
+
+describe("createHttpClient", () => {
+  it("returns the body of a 2xx response", async () => {
+    const url = route("/ok", { body: { results: [1, 2] } });
+    const { api, retried } = client();
+    assert.deepEqual(await api.getJson(url), { results: [1, 2] });
+    assert.equal(hits.get("/ok"), 1);
+    assert.equal(retried.length, 0);
+  });
+
+  it("retries 5xx with an exponential backoff", async () => {
+    const url = route("/flaky", { status: 503 }, { status: 502 }, { status: 500 }, { body: { ok: true } });
+    const { api, retried } = client();
+    assert.deepEqual(await api.getJson(url), { ok: true });
+    assert.equal(hits.get("/flaky"), 4);
+    assert.deepEqual(retried.map((r) => r.attempt), [1, 2, 3]);
+    // 40, 80, 160 ms, ±25 % of jitter
+    retried.forEach((r, i) => {
+      const expected = 40 * 2 ** i;
+      assert.ok(r.delayMs >= expected * 0.75 && r.delayMs <= expected * 1.25, `retry ${i + 1}: ${r.delayMs} ms`);
+    });
+    assert.match(retried[0].reason, /^Test API error 503/);
+  });
+
+  it("caps the backoff at maxBackoffMs", async () => {
+    const url = route("/capped", { status: 500 }, { status: 500 }, { body: {} });
+    const { api, retried } = client({ backoffMs: 100, maxBackoffMs: 20 });
+    await api.getJson(url);
+    assert.ok(retried.every((r) => r.delayMs <= 25));
+  });
+
+  it("gives up after `retries` retries with the last error", async () => {
+    const url = route("/down", { status: 500, body: "boom" });
+    const { api, retried } = client({ retries: 2 });
+    await assert.rejects(api.getJson(url), (e) => e.status === 500 && e.body === "boom");
+    assert.equal(hits.get("/down"), 3);
+    assert.equal(retried.length, 2);
+  });
+
+  it("waits for Retry-After on a 429", async () => {
+    const url = route("/limited", { status: 429, headers: { "Retry-After": "1" } }, { body: { ok: 1 } });
+    const { api, retried } = client();
+    const t0 = Date.now();
+    assert.deepEqual(await api.getJson(url), { ok: 1 });
+    assert.equal(retried.length, 1);
+    assert.equal(retried[0].delayMs, 1000);
+    assert.ok(Date.now() - t0 >= 950);
+  });
+
+  it("gives up at once when Retry-After is longer than maxRetryAfterMs", async () => {
+    const url = route("/quota", { status: 429, headers: { "Retry-After": "3600" } });
+    const { api, retried } = client();
+    await assert.rejects(api.getJson(url), (e) => e.status === 429);
+    assert.equal(hits.get("/quota"), 1);
+    assert.equal(retried.length, 0);
+  });
+
+  it("does not retry other 4xx", async () => {
+    for (const status of [400, 403, 404]) {
+      const url = route(`/client-${status}`, { status, body: "nope" });
+      const { api, retried } = client();
+      await assert.rejects(api.getJson(url), (e) => e.status === status && /^Test API error/.test(e.message));
+      assert.equal(hits.get(`/client-${status}`), 1);
+      assert.equal(retried.length, 0);
+    }
+  });
+
+  it("aborts an attempt on timeout, then retries it", async () => {
+    const url = route("/slow", { delayMs: 500, body: {} }, { body: { late: false } });
+    const { api, retried } = client({ timeoutMs: 100 });
+    assert.deepEqual(await api.getJson(url), { late: false });
+    assert.equal(retried.length, 1);
+    assert.match(retried[0].reason, /timeout after 100 ms/);
+  });
+
+  it("fails with status 0 when every attempt times out", async () => {
+    const url = route("/hung", { delayMs: 500, body: {} });
+    const { api } = client({ timeoutMs: 50, retries: 1 });
+    await assert.rejects(api.getJson(url), (e) => e.status === 0 && /timeout/.test(e.message));
+    assert.equal(hits.get("/hung"), 2);
+  });
+
+  it("retries network errors", async () => {
+    // A port nobody listens on
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${closed.address().port}/`;
+    await new Promise((resolve) => closed.close(resolve));
+
+    const { api, retried } = client({ retries: 2 });
+    await assert.rejects(api.getJson(url), (e) => e.status === 0 && /request failed/.test(e.message));
+    assert.equal(retried.length, 2);
+  });
+
+  it("stops retrying as soon as `signal` aborts", async () => {
+    const url = route("/cancelled", { status: 503 });
+    const { api } = client({ backoffMs: 5000 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(api.getJson(url, { signal: controller.signal }), { name: "AbortError" });
+    assert.equal(hits.get("/cancelled"), 1);
+  });
+
+  it("answers from the cache within the TTL", async () => {
+    const url = route("/cached", { body: { n: 1 } }, { body: { n: 2 } }, { body: { n: 3 } });
+    const store = new Map();
+    const cache = { get: (k) => store.get(k) ?? null, set: (k, v) => store.set(k, v) };
+    const { api } = client({ cache, cacheTtlMs: 60000 });
+
+    assert.deepEqual(await api.getJson(url), { n: 1 });
+    assert.deepEqual(await api.getJson(url), { n: 1 });
+    assert.equal(hits.get("/cached"), 1);
+
+    // cacheTtlMs: 0 skips it (and refreshes it)
+    assert.deepEqual(await api.getJson(url, { cacheTtlMs: 0 }), { n: 2 });
+    assert.equal(hits.get("/cached"), 2);
+
+    // Past the TTL
+    store.set(`json:${url}`, { ...store.get(`json:${url}`), time: Date.now() - 61000 });
+    assert.deepEqual(await api.getJson(url), { n: 3 });
+    assert.equal(hits.get("/cached"), 3);
+  });
+
+  it("keeps getJson and getText apart in the cache", async () => {
+    const url = route("/both", { body: { n: 1 } }, { body: { n: 2 } });
+    const store = new Map();
+    const { api } = client({ cache: { get: (k) => store.get(k), set: (k, v) => store.set(k, v) }, cacheTtlMs: 60000 });
+
+    assert.deepEqual(await api.getJson(url), { n: 1 });
+    assert.equal(await api.getText(url), '{"n":2}');
+    assert.deepEqual(await api.getJson(url), { n: 1 });
+    assert.equal(await api.getText(url), '{"n":2}');
+    assert.equal(hits.get("/both"), 2);
+    assert.deepEqual([...store.keys()], [`json:${url}`, `text:${url}`]);
+  });
+
+  it("does not cache errors", async () => {
+    const url = route("/error-then-ok", { status: 404 }, { body: { ok: true } });
+    const store = new Map();
+    const { api } = client({ cache: { get: (k) => store.get(k), set: (k, v) => store.set(k, v) }, cacheTtlMs: 60000 });
+    await assert.rejects(api.getJson(url));
+    assert.equal(store.size, 0);
+    assert.deepEqual(await api.getJson(url), { ok: true });
+  });
+});
+
+describe("retryAfterMs", () => {
+  it("reads seconds and HTTP dates", () => {
+    const now = Date.parse("2026-10-18T12:00:00Z");
+    assert.equal(retryAfterMs("120", now), 120000);
+    assert.equal(retryAfterMs("Sun, 18 Oct 2026 12:00:30 GMT", now), 30000);
+    assert.equal(retryAfterMs("Sun, 18 Oct 2026 11:00:00 GMT", now), 0);
+    assert.equal(retryAfterMs("soon", now), null);
+    assert.equal(retryAfterMs(null, now), null);
+  });
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildIcsCalendar, buildIcsEvent, foldIcsLine, icsEscape } from "../scripts/lib/ics.mjs";
+
+const EVENT = {
+  uid: "48213907",
+  title: "Jazz; live, au Rocher",
+  start: "2026-10-24T18:30:00+00:00",
+  firstEnd: "2026-10-24T21:00:00+00:00",
+  updatedAt: "2026-10-02T09:14:51+00:00",
+  venue: "Le Rocher de Palmer",
+  address: "1 rue Aristide Briand, 33150, Cenon",
+  desc: "Quartet",
+  dateLabel: "",
+  conditions: "",
+  externalUrl: "https://lerocherdepalmer.fr",
+  coords: { lat: 44.8566, lon: -0.5312 },
+};
+
+describe("ics", () => {
+  it("escapes text values", () => {
+    assert.equal(icsEscape("a,b;c\\d\ne"), "a\\,b\\;c\\\\d\\ne");
+  });
+
+  it("folds lines at 75 octets without splitting a character", () => {
+    const folded = foldIcsLine(`SUMMARY:${"é".repeat(60)}`);
+    for (const line of folded.split("\r\n")) assert.ok(new TextEncoder().encode(line).length <= 75);
+    assert.equal(folded.replace(/\r\n /g, ""), `SUMMARY:${"é".repeat(60)}`);
+  });
+
+  it("stamps events with updatedat, so an unchanged feed stays identical", () => {
+    const lines = buildIcsEvent(EVENT);
+    assert.ok(lines.includes("DTSTAMP:20261002T091451Z"));
+    assert.ok(lines.includes("DTSTART:20261024T183000Z"));
+    assert.ok(lines.includes("DTEND:20261024T210000Z"));
+    assert.ok(lines.includes("SUMMARY:Jazz\\; live\\, au Rocher"));
+    assert.ok(lines.includes("GEO:44.8566;-0.5312"));
+  });
+
+  it("prefers the link back to the agenda for URL", () => {
+    const lines = buildIcsEvent(EVENT, { url: "https://agenda.example/#uid=48213907" });
+    assert.ok(lines.includes("URL:https://agenda.example/#uid=48213907"));
+  });
+
+  it("skips events without uid or start", () => {
+    assert.deepEqual(buildIcsEvent({ ...EVENT, uid: " " }), []);
+    assert.deepEqual(buildIcsEvent({ ...EVENT, start: "not a date" }), []);
+  });
+
+  it("builds a CRLF calendar with the extra headers", () => {
+    const ics = buildIcsCalendar([EVENT], { headers: ["X-WR-TIMEZONE:Europe/Paris"] });
+    assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+    assert.ok(ics.includes("\r\nX-WR-TIMEZONE:Europe/Paris\r\n"));
+    assert.ok(ics.endsWith("END:VEVENT\r\nEND:VCALENDAR\r\n"));
+  });
+});
@@ -0,0 +1,239 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { beforeEach, describe, it } from "node:test";
+
+import { STATUS_MAX_CHARS, createMastodonClient, publishStatus, statusLength, statusText } from "../scripts/lib/mastodon.mjs";
+import {
+  findPosted, loadPostedLog, parseNetworks, postedEntries, publishTo, recordPosted, savePostedLog,
+} from "../scripts/lib/posts.mjs";
+import { localServer } from "./helpers/server.mjs";
+
+const TOKEN = "mastodon-token";
+const POSTER = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(1024, 3)]);
+
+/**
+ * Mastodon instance stand-in. POST /api/v2/media answers 202 and the media is ready after
+ * `processingPolls` GET /api/v1/media/:id (206 until then, like Mastodon). Statuses are
+ * kept by Idempotency-Key; uploads add the parsed `form` to their entry in `server.requests`.
+ */
+let processingPolls;
+let statuses;
+
+async function handle(req, res, body) {
+  const send = (status, data) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+  };
+  const url = new URL(req.url, server.base);
+
+  if (url.pathname === "/poster.jpg") {
+    res.writeHead(200, { "Content-Type": "image/jpeg" });
+    return res.end(POSTER);
+  }
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) return send(401, { error: "The access token is invalid" });
+
+  if (req.method === "POST" && url.pathname === "/api/v2/media") {
+    const form = await new Request(url, { method: "POST", headers: req.headers, body }).formData();
+    const file = form.get("file");
+    server.requests.at(-1).form = { file: { type: file.type, size: file.size }, description: form.get("description") };
+    return send(202, { id: "media-1", type: "image", url: null, description: form.get("description") });
+  }
+  if (req.method === "GET" && url.pathname === "/api/v1/media/media-1") {
+    processingPolls -= 1;
+    return processingPolls >= 0
+      ? send(206, { id: "media-1", type: "image", url: null })
+      : send(200, { id: "media-1", type: "image", url: `${server.base}/media/1.jpg` });
+  }
+  if (req.method === "POST" && url.pathname === "/api/v1/statuses") {
+    const payload = JSON.parse(body);
+    const key = req.headers["idempotency-key"] || `auto-${statuses.size}`;
+    if (!statuses.has(key)) {
+      const id = String(110000 + statuses.size);
+      statuses.set(key, { id, uri: `${server.base}/users/agenda/statuses/${id}`, url: `${server.base}/@agenda/${id}`, ...payload });
+    }
+    return send(200, statuses.get(key));
+  }
+  return send(404, { error: "Record not found" });
+}
+
+const server = await localServer(handle);
+
+beforeEach(() => {
+  server.requests = [];
+  processingPolls = 0;
+  statuses = new Map();
+});
+
+const client = (options = {}) => createMastodonClient({ instance: `${server.base}/`, token: TOKEN, mediaPollMs: 10, ...options });
+const apiCalls = () => server.requests.filter((r) => r.path.startsWith("/api/")).map((r) => `${r.method} ${r.path}`);
+
+describe("statusLength", () => {
+  it("counts every URL as 23 characters", () => {
+    assert.equal(statusLength("Infos : https://agenda.example/events/48213907.html"), 8 + 23);
+    assert.equal(statusLength("(https://a.example)"), 1 + 23);
+  });
+
+  it("counts only the user part of a remote mention", () => {
+    assert.equal(statusLength("Avec @rocher@piaille.fr"), "Avec @rocher".length);
+  });
+
+  it("counts characters, accents included, once each", () => {
+    assert.equal(statusLength("Fête à Bègles"), 13);
+    assert.equal(statusLength(null), 0);
+  });
+
+  it("statusText appends the link after the text", () => {
+    assert.equal(statusText("Pour plus d'informations, ici.  ", "https://agenda.example/e/1"), "Pour plus d'informations, ici. https://agenda.example/e/1");
+    assert.equal(statusText("Sans lien"), "Sans lien");
+  });
+});
+
+describe("createMastodonClient", () => {
+  it("uploads media and polls until it is processed", async () => {
+    processingPolls = 1;
+    const media = await client().uploadMedia({ data: POSTER, mimeType: "image/jpeg" }, "Affiche");
+    assert.equal(media.url, `${server.base}/media/1.jpg`);
+    assert.deepEqual(apiCalls(), ["POST /api/v2/media", "GET /api/v1/media/media-1", "GET /api/v1/media/media-1"]);
+    assert.deepEqual(server.requests[0].form, { file: { type: "image/jpeg", size: POSTER.length }, description: "Affiche" });
+    assert.match(server.requests[0].headers["content-type"], /^multipart\/form-data; boundary=/);
+  });
+
+  it("gives up on a media still processing after 10 checks", async () => {
+    processingPolls = Infinity;
+    await assert.rejects(
+      client().uploadMedia({ data: POSTER, mimeType: "image/jpeg" }, "Affiche"),
+      /Media media-1 still processing after 10 checks/
+    );
+    assert.equal(apiCalls().filter((c) => c === "GET /api/v1/media/media-1").length, 10);
+  });
+
+  it("caps the media description at 1500 characters", async () => {
+    await client().uploadMedia({ data: POSTER, mimeType: "image/jpeg" }, "é".repeat(1600));
+    assert.equal([...server.requests[0].form.description].length, 1500);
+  });
+
+  it("sends the Idempotency-Key, so a retried status is not posted twice", async () => {
+    const api = client();
+    const first = await api.postStatus({ status: "Bonjour" }, "48213907:J-1");
+    const again = await api.postStatus({ status: "Bonjour" }, "48213907:J-1");
+    assert.equal(again.id, first.id);
+    assert.equal(statuses.size, 1);
+    assert.equal(server.requests[0].headers["idempotency-key"], "48213907:J-1");
+  });
+
+  it("surfaces API errors with their status", async () => {
+    await assert.rejects(
+      client({ token: "wrong" }).postStatus({ status: "x" }),
+      (e) => e.status === 401 && /POST \/api\/v1\/statuses failed \(401\): The access token is invalid/.test(e.message)
+    );
+    await assert.rejects(client({ instance: "" }).postStatus({ status: "x" }), /Missing Mastodon instance URL/);
+    await assert.rejects(client({ token: "" }).postStatus({ status: "x" }), /Missing Mastodon access token/);
+  });
+});
+
+describe("publishStatus", () => {
+  const link = "https://agenda.example/events/48213907.html";
+
+  it("uploads the image, then posts the status with its media id", async () => {
+    const result = await publishStatus(client(), {
+      text: "C'est demain ! Soirée jazz a Rocher de Palmer · Cenon. Pour plus d'informations, ici.",
+      link,
+      imageUrl: `${server.base}/poster.jpg`,
+      alt: "Soirée jazz — Rocher de Palmer (Cenon)",
+      idempotencyKey: "48213907:J-1",
+    });
+    assert.deepEqual(apiCalls(), ["POST /api/v2/media", "GET /api/v1/media/media-1", "POST /api/v1/statuses"]);
+
+    const post = server.requests.find((r) => r.path === "/api/v1/statuses");
+    assert.deepEqual(JSON.parse(post.body), {
+      status: `C'est demain ! Soirée jazz a Rocher de Palmer · Cenon. Pour plus d'informations, ici. ${link}`,
+      language: "fr",
+      visibility: "public",
+      media_ids: ["media-1"],
+    });
+    assert.equal(result.id, "110000");
+    assert.equal(result.url, `${server.base}/@agenda/110000`);
+  });
+
+  it("does not post a status whose media is still processing", async () => {
+    processingPolls = Infinity;
+    await assert.rejects(publishStatus(client(), { text: "Test", link, imageUrl: `${server.base}/poster.jpg` }), /still processing/);
+    assert.equal(statuses.size, 0);
+    assert.ok(!apiCalls().includes("POST /api/v1/statuses"));
+  });
+
+  it("accepts 500 characters, URLs counted as 23", async () => {
+    const text = "é".repeat(STATUS_MAX_CHARS - 24);
+    await publishStatus(client(), { text, link: `${link}?${"x".repeat(200)}` });
+    assert.equal(statuses.size, 1);
+  });
+
+  it("refuses longer statuses before any request", async () => {
+    const text = "é".repeat(STATUS_MAX_CHARS - 23);
+    await assert.rejects(publishStatus(client(), { text, link }), /Status is 501 characters \(limit 500\)/);
+    await assert.rejects(publishStatus(client(), { text: "   ", link }), /Empty post text/);
+    assert.deepEqual(server.requests, []);
+  });
+
+  it("uploads and publishes nothing in dry-run mode", async () => {
+    const { status, id } = await publishStatus(client(), { text: "Test", imageUrl: `${server.base}/poster.jpg`, alt: "Affiche", dryRun: true });
+    assert.equal(id, "");
+    assert.deepEqual(status.media, [{ id: "(dry-run)", type: "image", mimeType: "image/jpeg", size: POSTER.length, description: "Affiche" }]);
+    assert.deepEqual(apiCalls(), []);
+  });
+});
+
+describe("posting log", () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "posted-"));
+  });
+  const cleanup = () => fs.rmSync(dir, { recursive: true, force: true });
+
+  it("logs each network separately, so one can catch up without reposting on the other", async () => {
+    try {
+      const file = path.join(dir, "posted.json");
+      const log = loadPostedLog(file);
+      assert.deepEqual(log, {});
+
+      const post = { text: "C'est demain ! Soirée jazz a Rocher de Palmer. Pour plus d'informations, ici.", link: "https://agenda.example/e/1" };
+      const { uri, url } = await publishTo("mastodon", client(), post, { idempotencyKey: "48213907:J-1" });
+      recordPosted(log, "48213907", "mastodon", "J-1", { uri, url, date: "2026-10-23", venue: "Rocher de Palmer", category: "concert" });
+      savePostedLog(log, file);
+
+      const saved = loadPostedLog(file);
+      assert.equal(findPosted(saved, "48213907", "mastodon", "J-1").url, `${server.base}/@agenda/110000`);
+      assert.equal(findPosted(saved, "48213907", "bluesky", "J-1"), null);
+      assert.equal(findPosted(saved, "48213907", "mastodon", "J-7"), null);
+
+      recordPosted(saved, "48213907", "bluesky", "J-1", { uri: "at://did:plc:x/app.bsky.feed.post/3k", url: "https://bsky.app/profile/x/post/3k" });
+      recordPosted(saved, "30985521", "mastodon", "manual", { url: "https://piaille.fr/@agenda/2" });
+      assert.deepEqual(postedEntries(saved).map((e) => `${e.uid} ${e.network} ${e.reminder}`), [
+        "30985521 mastodon manual", "48213907 mastodon J-1", "48213907 bluesky J-1",
+      ]);
+    } finally {
+      cleanup();
+    }
+  });
+
+  it("reads logs written before Mastodon support as Bluesky posts", () => {
+    try {
+      const file = path.join(dir, "posted.json");
+      fs.writeFileSync(file, JSON.stringify({ "48213907": { "J-1": { uri: "at://old", date: "2026-03-01" } } }));
+      const log = loadPostedLog(file);
+      assert.deepEqual(log, { "48213907": { bluesky: { "J-1": { uri: "at://old", date: "2026-03-01" } } } });
+      assert.equal(findPosted(log, "48213907", "mastodon", "J-1"), null);
+    } finally {
+      cleanup();
+    }
+  });
+
+  it("parseNetworks", () => {
+    assert.deepEqual(parseNetworks(""), ["bluesky"]);
+    assert.deepEqual(parseNetworks("both"), ["bluesky", "mastodon"]);
+    assert.deepEqual(parseNetworks("Mastodon, mastodon"), ["mastodon"]);
+    assert.throws(() => parseNetworks("threads"), /Unknown network "threads"/);
+  });
+});
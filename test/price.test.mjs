@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parsePrice, priceLabel } from "../scripts/lib/price.mjs";
+
+// conditions_fr as organisers write it: [text, { expected fields }, label]
+const CASES = [
+  ["Tarif plein 12 €, tarif réduit 8 €", { min: 8, max: 12, reduced: true, free: false, paid: true }, "dès 8 €"],
+  ["De 8 à 12 €", { min: 8, max: 12 }, "dès 8 €"],
+  ["8-12€", { min: 8, max: 12 }, "dès 8 €"],
+  ["8/12 €", { min: 8, max: 12 }, "dès 8 €"],
+  ["Entre 8 et 12 euros", { min: 8, max: 12 }, "dès 8 €"],
+  ["12,50€", { min: 12.5, max: 12.5 }, "12,50 €"],
+  ["€12", { min: 12, max: 12 }, "12 €"],
+  ["Payant", { min: null, max: null, paid: true }, ""],
+
+  // Times of day are not prices
+  ["Séance à 20h30 - 6 €", { min: 6, max: 6 }, "6 €"],
+  ["Séance à 20h - 6 €", { min: 6, max: 6 }, "6 €"],
+  ["Ouverture des portes 19h - 21 h, 5 €", { min: 5, max: 5 }, "5 €"],
+  ["Rendez-vous à 18 - 10 € l'entrée", { min: 10, max: 10 }, "10 €"],
+  ["Concert à 20h. Tarif unique à 15 €", { min: 15, max: 15 }, "15 €"],
+
+  // Nor are booking fees
+  ["Billetterie : 25 € - 1 € de frais", { min: 25, max: 25 }, "25 €"],
+  ["Tarif : 15 € (+ 1,80 € frais de location)", { min: 15, max: 15 }, "15 €"],
+  ["18 € + 2 € de frais de réservation", { min: 18, max: 18 }, "18 €"],
+
+  // Free, pay what you want, booking
+  ["Gratuit", { min: 0, max: 0, free: true, paid: false }, "Gratuit"],
+  ["Entrée libre", { free: true }, "Gratuit"],
+  ["Entrée libre sur réservation", { free: true, reservation: true }, "Gratuit"],
+  ["Gratuit, sur inscription", { free: true, reservation: true }, "Gratuit"],
+  ["Réservation obligatoire", { min: null, free: false, reservation: true }, ""],
+  ["Libre participation", { min: null, free: false, payWhatYouWant: true }, "Prix libre"],
+  ["Participation libre au chapeau", { payWhatYouWant: true }, "Prix libre"],
+  ["Prix libre (conseillé 5 €)", { min: 5, max: 5, payWhatYouWant: true }, "5 €"],
+  ["0 €", { min: 0, max: 0, free: true }, "Gratuit"],
+  ["10 €, gratuit pour les -12 ans", { min: 10, max: 10, free: false, reduced: true }, "10 €"],
+
+  // Nothing to read
+  ["", { min: null, max: null, free: false, paid: false }, ""],
+  [null, { min: null, free: false }, ""],
+];
+
+describe("parsePrice", () => {
+  for (const [text, expected, label] of CASES) {
+    it(JSON.stringify(text), () => {
+      const price = parsePrice(text);
+      for (const [key, value] of Object.entries(expected)) assert.equal(price[key], value, key);
+      assert.equal(priceLabel(price), label);
+    });
+  }
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { sanitizeHtml } from "../scripts/lib/sanitize.mjs";
+
+const LINK = 'target="_blank" rel="noopener noreferrer"';
+
+// [input, expected output]
+const MALICIOUS = {
+  "script with its content": ['<p>a</p><script>alert(1)</script><p>b</p>', "<p>a</p><p>b</p>"],
+  "script hiding an end tag in a string": ['<script>var s = "</p><img src=x onerror=alert(1)>";</script>ok', "ok"],
+  "unclosed script": ["before<script>alert(1)", "before"],
+  "style": ["<style>body{display:none}</style><p>texte</p>", "<p>texte</p>"],
+  "iframe": ['<iframe src="https://evil.example"></iframe>rest', "rest"],
+  "iframe srcdoc": ['<iframe srcdoc="<script>alert(1)</script>">x</iframe>', ""],
+  "svg with onload": ['<svg onload="alert(1)"><circle r="5"/></svg>after', "after"],
+  "svg opened with a slash": ['<svg/onload=alert(1)>inside', ""],
+  "self-closed svg": ["<svg/>after", "after"],
+  "svg script": ["<svg><script>alert(1)</script></svg>", ""],
+  "math": ['<math><mtext><img src=x onerror=alert(1)></mtext></math>x', "x"],
+  "object / embed": ['<object data="x.swf"><embed src="x.swf"></object>y', "y"],
+  "form controls": ['<form action="https://evil.example"><input name=q><button>Go</button></form>z', "z"],
+  "on* attributes": ['<p onclick="alert(1)" onmouseover=alert(2)>hi</p>', "<p>hi</p>"],
+  "img onerror": ['<img src=x onerror="alert(1)">text', "text"],
+  "style attribute": ['<strong style="position:fixed;top:0">gras</strong>', "<strong>gras</strong>"],
+  "javascript: href": ['<a href="javascript:alert(1)">clic</a>', "clic"],
+  "JavaScript: href, mixed case and spaces": ['<a href="  JaVaScRiPt:alert(1)">clic</a>', "clic"],
+  "tab inside the scheme": ['<a href="java\tscript:alert(1)">clic</a>', "clic"],
+  "decimal entities in the scheme": ['<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">clic</a>', "clic"],
+  "hex entities in the scheme": ['<a href="jav&#x61;script&#x3A;alert(1)">clic</a>', "clic"],
+  "named entities in the scheme": ['<a href="javascript&colon;alert(1)">clic</a>', "clic"],
+  "entity without semicolon": ['<a href="jav&#x61script:alert(1)">clic</a>', "clic"],
+  "encoded tab": ['<a href="java&Tab;script:alert(1)">clic</a>', "clic"],
+  "data: href": ['<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">clic</a>', "clic"],
+  "vbscript: href": ['<a href="vbscript:msgbox(1)">clic</a>', "clic"],
+  "relative href": ['<a href="/admin">clic</a>', "clic"],
+  "unquoted href with onclick": ["<a href=https://ok.example onclick=alert(1)>lien</a>", `<a href="https://ok.example/" ${LINK}>lien</a>`],
+  "quote breaking out of href": ['<a href=\'https://ok.example/"onmouseover="alert(1)\'>x</a>', `<a href="https://ok.example/%22onmouseover=%22alert(1)" ${LINK}>x</a>`],
+  "meta refresh": ['<meta http-equiv="refresh" content="0;url=javascript:alert(1)">t', "t"],
+  "base href": ['<base href="https://evil.example/">t', "t"],
+  "link stylesheet": ['<link rel="stylesheet" href="https://evil.example/x.css">t', "t"],
+  "template": ["<template><img src=x onerror=alert(1)></template>t", "t"],
+  "noscript": ["<noscript><p title=\"</noscript><img src=x onerror=alert(1)>\"></noscript>t", "\"&gt;t"],
+  "comment": ["a<!-- <script>alert(1)</script> -->b", "ab"],
+  "conditional comment": ["<!--[if IE]><script>alert(1)</script><![endif]-->ok", "ok"],
+  // A bogus comment in HTML, up to the first ">": what follows is text
+  "CDATA": ["<![CDATA[<script>alert(1)</script>]]>ok", "alert(1)]]&gt;ok"],
+  "lone angle brackets": ["1 < 2 > 0", "1 &lt; 2 &gt; 0"],
+  "unterminated tag": ['texte <a href="x', "texte &lt;a href=\"x"],
+  "escaped markup stays text": ["&lt;script&gt;alert(1)&lt;/script&gt;", "&lt;script&gt;alert(1)&lt;/script&gt;"],
+  "plaintext": ["ok<plaintext><script>alert(1)</script>", "ok"],
+  "stray end tags": ["</p></a></strong>texte</li>", "texte"],
+};
+
+const ORGANISER = {
+  "paragraphs and emphasis": [
+    "<p>Le <b>Rocher de Palmer</b> accueille <i>Django Memories</i>.</p><p>Ouverture des portes à 20h.</p>",
+    "<p>Le <strong>Rocher de Palmer</strong> accueille <em>Django Memories</em>.</p><p>Ouverture des portes à 20h.</p>",
+  ],
+  "inline styles and classes from a WYSIWYG editor": [
+    '<p class="MsoNormal" style="margin:0cm"><span style="font-family:Calibri">Tarif&nbsp;: 12&nbsp;€</span></p>',
+    "<p>Tarif&nbsp;: 12&nbsp;€</p>",
+  ],
+  "line breaks": ["Samedi<br>Dimanche<br/>Lundi<BR />", "Samedi<br>Dimanche<br>Lundi<br>"],
+  "lists": ["<ul><li>Concert</li><li>Bal</li></ul><ol><li>un<li>deux</ol>", "<ul><li>Concert</li><li>Bal</li></ul><ol><li>un</li><li>deux</li></ol>"],
+  "headings are brought down to h3": ["<h1>Programme</h1><h2>Samedi</h2><h4>20h</h4>", "<h3>Programme</h3><h3>Samedi</h3><h4>20h</h4>"],
+  "links": [
+    '<a href="https://www.bordeaux.fr/agenda?id=1&amp;p=2" title="Voir">Infos</a> · <a href="mailto:contact@asso.fr">Écrire</a> · <a href="tel:+33556000000">Appeler</a>',
+    `<a href="https://www.bordeaux.fr/agenda?id=1&amp;p=2" ${LINK}>Infos</a> · <a href="mailto:contact@asso.fr" ${LINK}>Écrire</a> · <a href="tel:+33556000000" ${LINK}>Appeler</a>`,
+  ],
+  "divs, spans and tables are unwrapped": [
+    "<div><span>Entrée</span> <table><tr><td>libre</td></tr></table></div>",
+    "Entrée libre",
+  ],
+  "images are dropped": ['<p><img src="https://cdn.example/affiche.jpg" alt="Affiche">Affiche</p>', "<p>Affiche</p>"],
+  "entities and accents": ["<p>L&#039;Été &amp; l&rsquo;hiver — « Jazz »</p>", "<p>L&#039;Été &amp; l&rsquo;hiver — « Jazz »</p>"],
+  "bare ampersand": ["<p>Rock & Roll</p>", "<p>Rock &amp; Roll</p>"],
+  "unclosed tags are closed": ["<p><strong>Complet", "<p><strong>Complet</strong></p>"],
+  "blockquote, u, s": ["<blockquote><u>Citation</u> <s>barré</s></blockquote>", "<blockquote><u>Citation</u> <s>barré</s></blockquote>"],
+  "uppercase tags": ["<P><B>Fort</B></P>", "<p><strong>Fort</strong></p>"],
+  "plain text": ["Rendez-vous au parc.", "Rendez-vous au parc."],
+  "nothing": [null, ""],
+};
+
+describe("sanitizeHtml", () => {
+  describe("malicious input", () => {
+    for (const [name, [input, expected]] of Object.entries(MALICIOUS)) {
+      it(name, () => assert.equal(sanitizeHtml(input), expected));
+    }
+  });
+
+  describe("organiser markup", () => {
+    for (const [name, [input, expected]] of Object.entries(ORGANISER)) {
+      it(name, () => assert.equal(sanitizeHtml(input), expected));
+    }
+  });
+
+  it("never outputs an attribute other than href, target and rel", () => {
+    const all = [...Object.values(MALICIOUS), ...Object.values(ORGANISER)].map(([input]) => sanitizeHtml(input)).join("");
+    for (const [, attr] of all.matchAll(/<[a-z0-9]+((?:\s[^>]*)?)>/g)) {
+      assert.match(attr, /^(| href="[^"]*" target="_blank" rel="noopener noreferrer")$/);
+    }
+  });
+});
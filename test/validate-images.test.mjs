@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+import { after, before, describe, it } from "node:test";
+
+import { localServer } from "./helpers/server.mjs";
+
+const execFileAsync = promisify(execFile);
+const SCRIPT = new URL("../scripts/validate-images.mjs", import.meta.url).pathname;
+
+// PNG signature and IHDR with the given width, padded to `bytes`
+function png(width, bytes) {
+  const buf = Buffer.alloc(bytes);
+  buf.writeUInt32BE(0x89504e47, 0);
+  buf.writeUInt32BE(0x0d0a1a0a, 4);
+  buf.writeUInt32BE(13, 8);
+  buf.write("IHDR", 12, "ascii");
+  buf.writeUInt32BE(width, 16);
+  buf.writeUInt32BE(Math.round(width * 0.75), 20);
+  return buf;
+}
+
+// Image host stand-in; HEAD gets the same headers without the body
+const ROUTES = {
+  "/ok.png": { status: 200, headers: { "Content-Type": "image/png" }, body: png(1200, 4096) },
+  "/gone.jpg": { status: 404, headers: { "Content-Type": "text/html" }, body: "<h1>Not found</h1>" },
+  "/moved.png": { status: 302, headers: { Location: "/ok.png" }, body: "" },
+  "/page.html": { status: 200, headers: { "Content-Type": "text/html; charset=utf-8" }, body: "<html><body>Photo</body></html>" },
+  "/tiny.png": { status: 200, headers: { "Content-Type": "image/png" }, body: png(1200, 300) },
+  "/small.png": { status: 200, headers: { "Content-Type": "image/png" }, body: png(320, 4096) },
+};
+
+const server = await localServer((req, res) => {
+  const { status, headers, body } = ROUTES[req.url] || { status: 404, headers: {}, body: "" };
+  res.writeHead(status, { ...headers, "Content-Length": Buffer.byteLength(body) });
+  res.end(req.method === "HEAD" ? undefined : body);
+});
+
+let dir;
+let report;
+let state;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "validate-images-"));
+  const write = (name, data) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data), "utf-8");
+  write("event-images.json", {
+    "48213907": { url: `${server.base}/ok.png`, aliases: ["soiree-jazz-au-rocher-de-palmer"] },
+    "71102284": { url: `${server.base}/gone.jpg` },
+    "30985521": `${server.base}/moved.png`,
+    "55821440": { url: `${server.base}/page.html` },
+    "61234567": { url: `${server.base}/tiny.png` },
+    "62345678": { url: `${server.base}/small.png` },
+    "ancien-slug": { url: `${server.base}/gone.jpg` },
+  });
+  write("manual-images.json", {
+    "70000001": `${server.base}/small.png`,
+    "70000002": `${server.base}/gone.jpg`,
+  });
+  write("enrich-state.json", { cursor: "2026-10-01T00:00:00Z", requeue: { "12345678": { url: "https://old.example/x.jpg", reason: "HTTP 410" } } });
+
+  // Asynchronous: the server above answers from this process
+  await execFileAsync(process.execPath, [SCRIPT], {
+    timeout: 60000,
+    env: {
+      ...process.env,
+      IMAGE_MAP_PATH: path.join(dir, "event-images.json"),
+      MANUAL_MAP_PATH: path.join(dir, "manual-images.json"),
+      STATE_PATH: path.join(dir, "enrich-state.json"),
+      REPORT_DIR: path.join(dir, "reports"),
+      CHECK_VENUES: "0",
+      TIMEOUT_MS: "5000",
+    },
+  });
+  report = JSON.parse(fs.readFileSync(path.join(dir, "reports", "image-validation.json"), "utf-8"));
+  state = JSON.parse(fs.readFileSync(path.join(dir, "enrich-state.json"), "utf-8"));
+});
+
+after(() => {
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const item = (source, key) => report.items.find((x) => x.source === source && x.key === key);
+
+describe("validate-images.mjs", () => {
+  it("reports a good image with its dimensions", () => {
+    const x = item("event-images", "48213907");
+    assert.deepEqual(x.problems, []);
+    assert.equal(x.status, 200);
+    assert.equal(x.content_type, "image/png");
+    assert.deepEqual([x.width, x.height, x.format, x.bytes], [1200, 900, "png", 4096]);
+  });
+
+  it("follows redirects", () => {
+    const x = item("event-images", "30985521");
+    assert.equal(x.url, `${server.base}/moved.png`);
+    assert.deepEqual(x.problems, []);
+    assert.equal(x.width, 1200);
+  });
+
+  it("flags HTTP errors", () => {
+    const x = item("event-images", "71102284");
+    assert.equal(x.status, 404);
+    assert.deepEqual(x.problems, ["HTTP 404"]);
+  });
+
+  it("flags pages served instead of an image", () => {
+    const x = item("event-images", "55821440");
+    assert.deepEqual(x.problems, ["not an image (text/html; charset=utf-8)"]);
+  });
+
+  it("flags placeholders below MIN_BYTES and images below MIN_WIDTH", () => {
+    assert.deepEqual(item("event-images", "61234567").problems, ["too small (300 bytes)"]);
+    assert.deepEqual(item("event-images", "62345678").problems, ["undersized (320px < 600px)"]);
+  });
+
+  it("counts the totals", () => {
+    assert.deepEqual(report.totals, { checked: 9, ok: 2, dead: 5, undersized: 2, unknown_size: 0, requeued: 5 });
+    assert.equal(report.min_width, 600);
+    assert.equal(report.min_bytes, 2048);
+  });
+
+  it("re-queues flagged uids, keeping the rest of enrich-state.json", () => {
+    assert.equal(state.cursor, "2026-10-01T00:00:00Z");
+    // Slug keys cannot be looked up again, and an undersized manual image stays
+    assert.deepEqual(Object.keys(state.requeue).sort(), ["12345678", "55821440", "61234567", "62345678", "70000002", "71102284"]);
+    assert.deepEqual(state.requeue["71102284"], { url: `${server.base}/gone.jpg`, reason: "HTTP 404" });
+    assert.deepEqual(state.requeue["62345678"], { url: `${server.base}/small.png`, reason: "undersized (320px < 600px)" });
+  });
+
+  it("writes the Markdown report", () => {
+    const md = fs.readFileSync(path.join(dir, "reports", "image-validation.md"), "utf-8");
+    assert.match(md, /^# Image validation/);
+    assert.match(md, /\| 9 \| 2 \| 5 \| 2 \| 0 \| 5 \|/);
+    assert.match(md, /\| manual-images \| 70000002 \| HTTP 404 \|/);
+  });
+});